@@ -1,157 +1,482 @@
-const db = require("../config/db");
-const { io } = require("../server");
-
-/* --------------------------------------
-   1) Detect Message Type + Extract Text
---------------------------------------- */
-function extractMessageContent(msg) {
-  let content = "[Media/File Message]";
-  let mediaUrl = null;
-
-  if (msg.type === "text" && msg.text?.body) {
-    content = msg.text.body;
+// Inbound side of the webhook: messages customers send us and delivery
+// statuses of the messages we sent. Used by the webhook inbox, the n8n
+// simulate endpoint and the contacts routes (consent changes).
+
+const axios = require('axios');
+const { parseIncomingMessage } = require('../services/message-parser');
+const { findInteractiveOption } = require('../services/interactive');
+const { matchConsentKeyword } = require('../services/consent');
+const { MESSAGE_STATUS_TRANSITIONS } = require('../repositories');
+
+// Quoted message as sent to the dashboard and n8n
+function formatQuotedMessage(quoted, whatsappMessageId) {
+  if (!quoted && !whatsappMessageId) return null;
+
+  return {
+    id: quoted?.id || null,
+    whatsappMessageId: quoted?.whatsapp_message_id || whatsappMessageId,
+    text: quoted?.content ? quoted.content.substring(0, 200) : null,
+    type: quoted?.message_type || null
+  };
+}
+
+function createMessageController({ repositories, io, mediaDownloader, consentRegistry, campaignManager, memoryChats }) {
+  const { contacts, chats, messages, media: mediaFiles } = repositories;
+
+  // Handle a delivery/read status update for a message we sent
+  async function processStatusUpdate(status) {
+    console.log(`📬 Status update for ${status.id}: ${status.status}`);
+
+    if (!MESSAGE_STATUS_TRANSITIONS[status.status]) {
+      console.log(`⚠️ Ignoring unsupported status: ${status.status}`);
+      return null;
+    }
+
+    const error = status.errors?.[0];
+    const timestamp = status.timestamp ? new Date(status.timestamp * 1000) : new Date();
+
+    const updated = await messages.updateStatus(status.id, status.status, {
+      timestamp: timestamp,
+      errorCode: error?.code,
+      errorTitle: error?.title
+    });
+
+    if (!updated) {
+      console.log(`⚠️ No message moved to ${status.status} for ${status.id} (unknown or already past it)`);
+      return null;
+    }
+
+    await campaignManager.recordMessageStatus(updated.id, updated.status, error?.title);
+
+    // Notify connected clients so the dashboard can update ticks
+    io.emit('message_status', {
+      messageId: updated.id,
+      whatsappMessageId: status.id,
+      to: status.recipient_id,
+      status: updated.status,
+      timestamp: timestamp,
+      error: error ? { code: error.code, title: error.title } : null
+    });
+
+    return updated;
   }
-  else if (msg.type === "image" && msg.image?.link) {
-    mediaUrl = msg.image.link;
-    content = `[Image] ${mediaUrl}`;
+
+  // Tell the dashboard and n8n that a contact opted out or back in
+  async function notifyConsentChange(contact, { source, keyword = null, changedBy = null }) {
+    const event = {
+      phone: contact.phone_number,
+      contactId: contact.id,
+      contactName: contact.name,
+      optedOut: contact.opted_out,
+      source: source,
+      keyword: keyword,
+      changedBy: changedBy,
+      timestamp: contact.consent_updated_at
+    };
+
+    io.emit('contact_consent', event);
+
+    try {
+      if (process.env.N8N_WEBHOOK_URL) {
+        await axios.post(process.env.N8N_WEBHOOK_URL, {
+          event: contact.opted_out ? 'contact_opted_out' : 'contact_opted_in',
+          ...event
+        }, {
+          headers: { 'Content-Type': 'application/json' },
+          timeout: 5000
+        });
+      }
+    } catch (error) {
+      console.error('❌ Failed forwarding consent change to N8N:', error.message);
+    }
   }
-  else if (msg.type === "audio" && msg.audio?.link) {
-    mediaUrl = msg.audio.link;
-    content = `[Audio] ${mediaUrl}`;
+
+  // Forward a received message to n8n in the webhook format n8n expects
+  async function forwardWebhookToN8n(message, savedMessage, { parsed, contact }) {
+    if (!process.env.N8N_WEBHOOK_URL) {
+      console.log("⚠️ N8N_WEBHOOK_URL not configured");
+      return;
+    }
+
+    console.log(`🔄 Forwarding to n8n: ${process.env.N8N_WEBHOOK_URL}`);
+
+    await axios.post(process.env.N8N_WEBHOOK_URL, {
+      // n8n के लिए format
+      object: 'whatsapp_business_account',
+      entry: [{
+        id: 'backend-forward',
+        changes: [{
+          value: {
+            messaging_product: 'whatsapp',
+            metadata: {
+              display_phone_number: process.env.PHONE_NUMBER_ID,
+              phone_number_id: process.env.PHONE_NUMBER_ID
+            },
+            contacts: [{
+              profile: { name: contact.name },
+              wa_id: message.from
+            }],
+            // Full original message, whatever its type
+            messages: [{
+              ...message,
+              type: parsed.type
+            }]
+          },
+          field: 'messages'
+        }]
+      }]
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Backend-Source': 'whatsapp-backend'
+      },
+      timeout: 5000
+    });
+
+    console.log("✅ Successfully forwarded to n8n");
   }
-  else if (msg.type === "video" && msg.video?.link) {
-    mediaUrl = msg.video.link;
-    content = `[Video] ${mediaUrl}`;
+
+  // Forward a received message to n8n as a flat event
+  async function forwardMessageToN8n(message, savedMessage, { parsed, contact, quotedMessage, timestamp }) {
+    if (!process.env.N8N_WEBHOOK_URL) return;
+
+    await axios.post(process.env.N8N_WEBHOOK_URL, {
+      from: message.from,
+      message: parsed.content,
+      messageType: parsed.type,
+      payload: parsed.payload,
+      media: parsed.mediaInfo,
+      replyTo: formatQuotedMessage(quotedMessage, message.context?.id || null),
+      timestamp: timestamp,
+      contactName: contact.name,
+      source: 'whatsapp_webhook',
+      direction: 'incoming'
+    }, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 5000
+    });
+    console.log("🔁 Message forwarded to N8N successfully");
   }
-  else if (msg.type === "document" && msg.document?.link) {
-    mediaUrl = msg.document.link;
-    content = `[Document] ${mediaUrl}`;
+
+  // Fetch the actual file for image/audio/video/document/sticker messages.
+  // Throws (after noting the failure on the message) when a later attempt may
+  // still download it.
+  async function storeInboundMedia(message, savedMessage, context) {
+    if (!context.parsed.mediaInfo?.mediaId) return;
+
+    const { downloadFailed, ...mediaInfo } = context.parsed.mediaInfo;
+
+    // An earlier attempt may have stored the file before it failed
+    const stored = await mediaFiles.findByWhatsAppMessageId(message.id);
+    let mediaFile = stored?.download_status === 'downloaded' ? stored : null;
+    let downloadError = null;
+
+    if (!mediaFile) {
+      try {
+        mediaFile = await mediaDownloader.downloadInboundMedia(mediaInfo, {
+          whatsappMessageId: message.id,
+          messageId: savedMessage.id
+        });
+      } catch (error) {
+        downloadError = error;
+      }
+    }
+
+    context.parsed.mediaInfo = mediaFile
+      ? {
+        ...mediaInfo,
+        fileId: mediaFile.id,
+        url: mediaFile.url,
+        mimeType: mediaFile.mime_type,
+        fileSize: Number(mediaFile.file_size)
+      }
+      : { ...mediaInfo, downloadFailed: true };
+
+    await messages.updateMedia(savedMessage.id, context.parsed.mediaInfo);
+
+    if (downloadError) throw downloadError;
   }
-  else if (msg.type === "sticker" && msg.sticker?.link) {
-    mediaUrl = msg.sticker.link;
-    content = `[Sticker] ${mediaUrl}`;
+
+  // STOP / START style keywords change whether we may message this contact.
+  // Safe to run again: a contact already in that state is left alone.
+  async function recordConsentKeyword(message, savedMessage, { parsed, contact, timestamp }) {
+    const consentStatus = ['text', 'button', 'interactive'].includes(parsed.type)
+      ? matchConsentKeyword(parsed.content)
+      : null;
+    if (!consentStatus) return;
+
+    const updatedContact = await consentRegistry.record(contact.id, {
+      status: consentStatus,
+      source: 'keyword',
+      keyword: parsed.content.trim().substring(0, 100),
+      messageId: savedMessage.id,
+      occurredAt: timestamp
+    });
+    if (updatedContact) {
+      await notifyConsentChange(updatedContact, { source: 'keyword', keyword: parsed.content.trim() });
+    }
   }
 
-  return { content, mediaUrl };
-}
+  // Follow-up steps of a received message, in the order they run. They are
+  // stored in messages.pending_steps with the message and crossed off as they
+  // finish, so a retried webhook event resumes the ones that failed.
+  const INBOUND_STEPS = {
+    consent: recordConsentKeyword,
+    media: storeInboundMedia,
+    n8n_webhook: forwardWebhookToN8n,
+    n8n_message: forwardMessageToN8n
+  };
+
+  // Run the steps a stored message still has pending. One failing step
+  // doesn't hold up the others; returns the errors of those that failed.
+  async function runPendingSteps(message, savedMessage, context) {
+    const errors = [];
+
+    for (const [step, run] of Object.entries(INBOUND_STEPS)) {
+      if (!savedMessage.pending_steps?.includes(step)) continue;
 
-/* --------------------------------------
-   2) Incoming Message Handler
---------------------------------------- */
-async function processIncomingMessage(msg) {
-  try {
-    console.log("📥 Incoming Message:", msg);
+      try {
+        await run(message, savedMessage, context);
+        await messages.completeStep(savedMessage.id, step);
+      } catch (error) {
+        console.error(`❌ ${step} failed for message ${message.id}:`, error.message);
+        errors.push(`${step}: ${error.message}`);
+      }
+    }
 
-    const phone = msg.from;
-    const timestamp = new Date(msg.timestamp * 1000);
+    return errors;
+  }
 
-    // Extract content
-    const { content, mediaUrl } = extractMessageContent(msg);
+  // button_reply / list_reply: record which menu and option was picked
+  function linkInteractiveAnswer(parsed, quotedMessage) {
+    if (parsed.type === 'interactive' && quotedMessage?.message_type_detail === 'interactive') {
+      parsed.payload = {
+        ...parsed.payload,
+        answeredMessageId: quotedMessage.id,
+        option: findInteractiveOption(quotedMessage.payload, parsed.payload.id)
+      };
+    }
+  }
 
-    // 1️⃣ Ensure Contact Exists
-    const contact = await db.findOrCreateContact(phone);
+  // Parse a stored received message again and overwrite what was stored,
+  // keeping a file that was already downloaded. n8n and the dashboard are not
+  // told again; only a missing media download is queued.
+  async function reprocessStoredMessage(message, existing, parsed) {
+    const contextId = message.context?.id || null;
+    const quotedMessage = contextId ? await messages.findByWhatsAppId(contextId) : null;
+    linkInteractiveAnswer(parsed, quotedMessage);
 
-    // 2️⃣ Ensure Chat Exists
-    const chat = await db.findOrCreateChat(contact.id, phone);
+    const stored = existing.media_info;
+    const keepDownload = parsed.mediaInfo?.mediaId && stored?.fileId && stored.mediaId === parsed.mediaInfo.mediaId;
+    if (keepDownload) {
+      parsed.mediaInfo = {
+        ...parsed.mediaInfo,
+        fileId: stored.fileId,
+        url: stored.url,
+        mimeType: stored.mimeType,
+        fileSize: stored.fileSize
+      };
+    }
 
-    // 3️⃣ Save Incoming Message
-    const saved = await db.addMessage(chat.id, contact.id, {
-      type: "received",
-      content: content,
-      media_url: mediaUrl,
-      media_type: mediaUrl ? msg.type : null,
-      whatsappMessageId: msg.id,
-      timestamp: timestamp,
-      status: "delivered"
+    const savedMessage = await messages.reprocess(existing.id, {
+      content: parsed.content,
+      preview: parsed.preview,
+      messageTypeDetail: parsed.type,
+      payload: parsed.payload,
+      mediaInfo: parsed.mediaInfo,
+      replyToMessageId: quotedMessage?.id,
+      contextWhatsappMessageId: contextId,
+      pendingSteps: parsed.mediaInfo?.mediaId && !keepDownload ? ['media'] : []
     });
 
-    console.log("💾 Saved Incoming Message:", saved.id);
+    console.log(`🔄 Reprocessed stored message ${message.id}`);
+    return { savedMessage, quotedMessage };
+  }
 
-    // 4️⃣ SOCKET.IO → Send to Dashboard
-    io.emit("new_message", {
-      from: phone,
-      message: content,
-      mediaUrl,
-      type: "received",
-      timestamp,
-      contactName: contact.name,
-      messageId: saved.id,
-      source: "whatsapp"
-    });
+  // Save an incoming message, forward it to n8n and notify the dashboard.
+  // Returns the saved row, or null if this message was already processed.
+  // A message stored by an earlier attempt whose follow-up steps didn't all
+  // finish resumes them. With reprocess, a stored message is parsed again
+  // and updated instead of skipped (backfills after a parser fix).
+  // Throws when a step fails, so the webhook is retried.
+  async function processIncomingMessage(message, profileName = null, { reprocess = false } = {}) {
+    const phone = message.from;
+    const parsed = parseIncomingMessage(message);
+    const content = parsed.content;
+    const timestamp = new Date(message.timestamp * 1000);
+    const contextId = message.context?.id || null;
+
+    console.log(`💬 Processing message from ${phone}: ${content.substring(0, 50)}...`);
+
+    try {
+      // Meta retries webhooks - a message we already stored is a no-op
+      // unless it still has follow-up steps to finish
+      const existing = message.id ? await messages.findByWhatsAppId(message.id) : null;
+      if (existing && !existing.pending_steps?.length && !reprocess) {
+        console.log(`♻️ Duplicate message ignored: ${message.id}`);
+        return null;
+      }
+
+      let savedMessage;
+      let contact;
+      let quotedMessage;
 
-    console.log("📡 Dashboard Updated via Socket.io");
-    return true;
+      if (existing && reprocess) {
+        contact = await contacts.findById(existing.contact_id);
+        ({ savedMessage, quotedMessage } = await reprocessStoredMessage(message, existing, parsed));
+      } else if (existing) {
+        console.log(`🔁 Resuming ${existing.pending_steps.join(', ')} for message ${message.id}`);
+        savedMessage = existing;
+        contact = await contacts.findById(existing.contact_id);
+        quotedMessage = existing.reply_to_message_id
+          ? await messages.findById(existing.reply_to_message_id)
+          : null;
+        parsed.payload = existing.payload;
+        parsed.mediaInfo = existing.media_info;
+      } else {
+        // Save to PostgreSQL database
+        contact = await contacts.findOrCreate(phone, profileName);
+        const chat = await chats.findOrCreate(contact.id, phone);
 
-  } catch (err) {
-    console.error("❌ processIncomingMessage ERROR:", err);
-    return false;
+        // Swipe-to-reply: context.id is the message being quoted
+        quotedMessage = contextId ? await messages.findByWhatsAppId(contextId) : null;
+
+        linkInteractiveAnswer(parsed, quotedMessage);
+
+        savedMessage = await messages.add(chat.id, contact.id, {
+          type: 'received',
+          content: content,
+          preview: parsed.preview,
+          messageTypeDetail: parsed.type,
+          payload: parsed.payload,
+          mediaInfo: parsed.mediaInfo,
+          replyToMessageId: quotedMessage?.id,
+          contextWhatsappMessageId: contextId,
+          whatsappMessageId: message.id,
+          timestamp: timestamp,
+          status: 'delivered',
+          pendingSteps: Object.keys(INBOUND_STEPS)
+        });
+
+        // Lost a race with a concurrent delivery of the same message
+        if (!savedMessage) {
+          console.log(`♻️ Duplicate message ignored: ${message.id}`);
+          return null;
+        }
+
+        // Count the reply for any campaign recently sent to this contact
+        await campaignManager.recordReply(phone).catch(error => {
+          console.error('Error recording campaign reply:', error.message);
+        });
+      }
+
+      const stepErrors = await runPendingSteps(message, savedMessage, {
+        parsed,
+        contact,
+        quotedMessage,
+        timestamp
+      });
+
+      if (!existing) {
+        // Also store in memory for backward compatibility
+        memoryChats.add(phone, {
+          id: message.id,
+          text: content,
+          timestamp: timestamp,
+          type: 'received',
+          from: phone
+        }, { at: timestamp, unread: true });
+
+        // Notify connected clients via Socket.IO
+        io.emit('new_message', {
+          from: phone,
+          message: content,
+          messageType: parsed.type,
+          payload: parsed.payload,
+          media: parsed.mediaInfo,
+          replyTo: formatQuotedMessage(quotedMessage, contextId),
+          timestamp: timestamp,
+          contactName: contact.name,
+          messageId: savedMessage.id,
+          source: 'whatsapp'
+        });
+
+        console.log(`💾 Saved message to database: ${phone}`);
+      }
+
+      if (stepErrors.length > 0) {
+        throw new Error(`Message ${message.id} is stored but ${stepErrors.join('; ')}`);
+      }
+
+      return savedMessage;
+
+    } catch (error) {
+      console.error('Error processing incoming message:', error);
+      throw error;
+    }
   }
-}
 
+  // Walk every entry, change, message and status in a webhook batch.
+  // Each item is processed on its own so one bad item doesn't drop the rest.
+  // With reprocess, stored messages are parsed again (see processIncomingMessage).
+  async function processWebhookPayload(body, { reprocess = false } = {}) {
+    const summary = { messages: 0, duplicates: 0, statuses: 0, failed: 0, errors: [] };
 
-/* --------------------------------------
-   3) Outgoing Message Handler (from n8n)
---------------------------------------- */
-async function processOutgoingMessage(data) {
-  try {
-    console.log("📤 Saving Outgoing Message:", data);
-
-    const to = data.to;
-    const content = data.message || "[Media]";
-    const media_url = data.mediaUrl || null;
-    const media_type = media_url ? "media" : null;
-
-    // 1️⃣ Ensure Contact Exists
-    const contact = await db.findOrCreateContact(to);
-
-    // 2️⃣ Ensure Chat Exists
-    const chat = await db.findOrCreateChat(contact.id, to);
-
-    // 3️⃣ Save Outgoing Message
-    const saved = await db.query(
-      `INSERT INTO messages 
-        (chat_id, contact_id, message_type, content, media_url, media_type, whatsapp_message_id, status)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
-       RETURNING id`,
-      [
-        chat.id,
-        contact.id,
-        "sent",
-        content,
-        media_url,
-        media_type,
-        data.messageId || null,
-        "sent"
-      ]
-    );
-
-    // 4️⃣ Update Chat Last Message
-    await db.query(
-      `UPDATE chats SET last_message=$1, last_message_at=NOW() WHERE id=$2`,
-      [content, chat.id]
-    );
-
-    // 5️⃣ Socket Emit (Dashboard)
-    io.emit("new_message", {
-      from: to,
-      message: content,
-      type: "sent",
-      mediaUrl: media_url,
-      timestamp: new Date(),
-      messageId: saved.rows[0].id,
-      source: "n8n"
-    });
+    for (const entry of body.entry || []) {
+      for (const change of entry.changes || []) {
+        if (change.field !== 'messages' || !change.value) continue;
 
-    console.log("📡 Dashboard Updated From Outgoing Message");
-    return true;
+        const value = change.value;
 
-  } catch (err) {
-    console.error("❌ processOutgoingMessage ERROR:", err);
-    return false;
+        // Profile names Meta sends alongside the messages, keyed by wa_id
+        const profileNames = {};
+        for (const contact of value.contacts || []) {
+          if (contact.wa_id && contact.profile?.name) {
+            profileNames[contact.wa_id] = contact.profile.name;
+          }
+        }
+
+        for (const message of value.messages || []) {
+          try {
+            const saved = await processIncomingMessage(message, profileNames[message.from], { reprocess });
+            if (saved) {
+              summary.messages++;
+            } else {
+              summary.duplicates++;
+            }
+          } catch (error) {
+            summary.failed++;
+            summary.errors.push({ id: message.id, error: error.message });
+            console.error(`❌ Failed to process message ${message.id}:`, error.message);
+          }
+        }
+
+        for (const status of value.statuses || []) {
+          try {
+            await processStatusUpdate(status);
+            summary.statuses++;
+          } catch (error) {
+            summary.failed++;
+            summary.errors.push({ id: status.id, error: error.message });
+            console.error(`❌ Failed to process status for ${status.id}:`, error.message);
+          }
+        }
+      }
+    }
+
+    console.log(`✅ Webhook processed: ${summary.messages} messages, ${summary.duplicates} duplicates, ${summary.statuses} statuses, ${summary.failed} failed`);
+    return summary;
   }
+
+  return {
+    processWebhookPayload,
+    processIncomingMessage,
+    processStatusUpdate,
+    notifyConsentChange
+  };
 }
 
 module.exports = {
-  processIncomingMessage,
-  processOutgoingMessage
+  formatQuotedMessage,
+  createMessageController
 };
@@ -0,0 +1,543 @@
+// Outbound side: the send path every endpoint shares (/api/send, templates,
+// canned responses, n8n dispatch, campaigns), the outbound queue that
+// delivers it, and read receipts / typing indicators.
+
+const { parseIncomingMessage } = require('../services/message-parser');
+const { MEDIA_LIMITS, normalizeMimeType, checkMediaLimits } = require('../services/media-limits');
+const { buildTemplateMessage } = require('../services/templates');
+const { createOutboundQueue } = require('../services/outbound-queue');
+const { buildInteractiveMessage } = require('../services/interactive');
+const { WhatsAppApiError } = require('../services/whatsapp-client');
+const { getServiceWindow } = require('../services/service-window');
+const { parseSendAt } = require('../services/dates');
+const { fetchMediaLink } = require('../services/media-link');
+const { formatQuotedMessage } = require('./messageController');
+
+// How long /api/send and the template endpoint wait for the dispatcher before
+// answering 202 with the queued message instead
+const OUTBOUND_SEND_WAIT_MS = parseInt(process.env.OUTBOUND_SEND_WAIT_MS) || 15000;
+
+// WhatsApp shows a typing indicator for up to 25 seconds or until we reply
+const TYPING_INDICATOR_INTERVAL_MS = 20000;
+
+// WhatsApp media type for a mime type when the sender doesn't say
+function mediaTypeForMime(mimeType) {
+  const mime = normalizeMimeType(mimeType);
+  if (mime === 'image/webp') return 'sticker';
+  if (MEDIA_LIMITS.image.mimeTypes.includes(mime)) return 'image';
+  if (mime.startsWith('audio/')) return 'audio';
+  if (mime.startsWith('video/')) return 'video';
+  return 'document';
+}
+
+function rejectInvalidSendAt(res) {
+  res.status(400).json({
+    success: false,
+    error: 'send_at must be a valid date in the future'
+  });
+}
+
+// Answer a send request from the outcome of sendWhatsAppMessage: the Graph
+// response once sent, its error if it failed, or 202 if still queued or scheduled
+function sendOutboundResult(res, { outbound, savedMessage }, body) {
+  if (outbound.status === 'sent') {
+    return res.json({
+      success: true,
+      data: outbound.graph_response,
+      messageId: savedMessage.id,
+      whatsappMessageId: outbound.whatsapp_message_id,
+      ...body
+    });
+  }
+
+  if (outbound.status === 'failed') {
+    return res.status(500).json({
+      success: false,
+      messageId: savedMessage.id,
+      error: outbound.graph_response || outbound.last_error
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    queued: true,
+    status: outbound.status,
+    outboundId: outbound.id,
+    messageId: savedMessage.id,
+    ...(outbound.status === 'scheduled' && { sendAt: outbound.send_at }),
+    ...body,
+    message: outbound.status === 'scheduled' ? 'Message scheduled' : 'Message queued for sending'
+  });
+}
+
+function createSendController({ pool, repositories, io, whatsapp, settings, consentRegistry, templateRegistry, campaignManager, memoryChats }) {
+  const { contacts, chats, messages, media: mediaFiles } = repositories;
+  const typingIndicatorSentAt = new Map();
+
+  // Refuse to message a contact who opted out (answers 422 itself).
+  // Returns true when the request was rejected.
+  async function rejectOptedOut(res, phoneNumber) {
+    if (!await consentRegistry.isOptedOut(phoneNumber)) return false;
+
+    res.status(422).json({
+      success: false,
+      code: 'CONTACT_OPTED_OUT',
+      error: `${phoneNumber} has opted out of WhatsApp messages`
+    });
+    return true;
+  }
+
+  // Refuse a free-form message when the customer service window has closed.
+  // Returns true when the response has been sent.
+  // A scheduled message (sendAt) needs the window to still be open when it goes out.
+  async function rejectOutsideServiceWindow(res, phoneNumber, sendAt = null) {
+    const chat = await chats.findByPhone(phoneNumber);
+    const serviceWindow = getServiceWindow(chat);
+    const closesBeforeSend = serviceWindow.open && sendAt && new Date(serviceWindow.expiresAt) <= sendAt;
+
+    if (serviceWindow.open && !closesBeforeSend) return false;
+
+    res.status(422).json({
+      success: false,
+      code: 'SERVICE_WINDOW_CLOSED',
+      error: closesBeforeSend
+        ? `The 24-hour customer service window for ${phoneNumber} closes at ${new Date(serviceWindow.expiresAt).toISOString()}, before send_at`
+        : serviceWindow.expiresAt
+          ? `The 24-hour customer service window for ${phoneNumber} closed at ${new Date(serviceWindow.expiresAt).toISOString()}`
+          : `${phoneNumber} has not messaged us, so there is no open customer service window`,
+      suggestion: 'Send an approved template instead: POST /api/templates/:name/send',
+      serviceWindow
+    });
+    return true;
+  }
+
+  // Mark the customer's latest message read on WhatsApp, optionally showing a
+  // typing indicator too. Returns the message marked read, or null if there
+  // is nothing to mark (or the read_receipts setting is off).
+  async function sendReadReceipt(phone, { typing = false } = {}) {
+    if (!await settings.get('read_receipts')) return null;
+
+    const latest = await messages.findLatestReceived(phone);
+    if (!latest || (latest.status === 'read' && !typing)) return null;
+
+    await whatsapp.markRead(latest.whatsapp_message_id, { typing });
+
+    await messages.markReceivedRead(latest.chat_id, latest.id);
+    console.log(`👀 Marked messages from ${phone} read${typing ? ' (typing)' : ''}`);
+    return latest;
+  }
+
+  // Show the typing indicator while an agent writes, at most once per interval
+  async function sendTypingIndicator(phone) {
+    const lastSentAt = typingIndicatorSentAt.get(phone) || 0;
+    if (Date.now() - lastSentAt < TYPING_INDICATOR_INTERVAL_MS) return null;
+
+    typingIndicatorSentAt.set(phone, Date.now());
+    try {
+      return await sendReadReceipt(phone, { typing: true });
+    } catch (error) {
+      typingIndicatorSentAt.delete(phone);
+      throw error;
+    }
+  }
+
+  // The dispatcher sent a queued message: record its WhatsApp id and tell the chat
+  async function handleOutboundSent(job, data) {
+    const whatsappMessageId = data.messages[0].id;
+    const saved = job.message_id
+      ? await messages.updateQueued(job.message_id, { whatsappMessageId, status: 'sent' })
+      : null;
+
+    console.log(`📤 Sent queued message ${job.id} to ${job.to_phone}: ${whatsappMessageId}`);
+
+    if (saved) {
+      await campaignManager.recordMessageStatus(saved.id, 'sent');
+    }
+
+    // Also store in memory for backward compatibility
+    const to = job.to_phone;
+    memoryChats.add(to, {
+      id: whatsappMessageId,
+      text: saved?.content,
+      timestamp: new Date(),
+      type: 'sent',
+      from: 'me'
+    });
+
+    const quoted = saved?.reply_to_message_id
+      ? await messages.findById(saved.reply_to_message_id)
+      : null;
+
+    // Notify via Socket.IO
+    io.emit('message_sent', {
+      to: to,
+      message: saved?.content,
+      messageType: saved?.message_type_detail,
+      media: saved?.media_info,
+      replyTo: formatQuotedMessage(quoted)
+    });
+
+    io.emit('message_status', {
+      messageId: saved?.id || null,
+      whatsappMessageId: whatsappMessageId,
+      to: to,
+      status: 'sent',
+      timestamp: new Date(),
+      error: null
+    });
+  }
+
+  // The dispatcher gave up on a queued message
+  async function handleOutboundFailed(job, error) {
+    const errorCode = error instanceof WhatsAppApiError ? error.code : null;
+    const saved = job.message_id
+      ? await messages.updateQueued(job.message_id, {
+        status: 'failed',
+        errorCode: errorCode,
+        errorTitle: error.message
+      })
+      : null;
+
+    if (saved) {
+      await campaignManager.recordMessageStatus(saved.id, 'failed', error.message);
+    }
+
+    io.emit('message_status', {
+      messageId: saved?.id || null,
+      whatsappMessageId: null,
+      to: job.to_phone,
+      status: 'failed',
+      timestamp: new Date(),
+      error: { code: errorCode, title: error.message }
+    });
+  }
+
+  const outboundQueue = createOutboundQueue({
+    pool,
+    // Also catches messages queued or scheduled before the customer opted out
+    send: async payload => {
+      await consentRegistry.assertCanMessage(payload.to);
+      return whatsapp.sendMessage(payload);
+    },
+    onSent: handleOutboundSent,
+    onFailed: handleOutboundFailed
+  });
+
+  // Queue a message for the WhatsApp API. It is saved to the chat straight
+  // away with status 'queued' and the dispatcher fills in the WhatsApp id once
+  // sent. Waits up to OUTBOUND_SEND_WAIT_MS for the outcome.
+  // `parsed` overrides what is stored (e.g. a template's rendered text).
+  // With a future `sendAt` the message is stored as 'scheduled' and returned without
+  // waiting; `wait: false` skips the wait for immediate sends too (bulk senders).
+  // Throws a CONTACT_OPTED_OUT error for contacts who opted out.
+  async function sendWhatsAppMessage(to, outgoing, { quotedMessage = null, media = null, mediaLink = null, parsed = null, sendAt = null, wait = true } = {}) {
+    await consentRegistry.assertCanMessage(to);
+
+    const delayMs = sendAt ? sendAt.getTime() - Date.now() : 0;
+    const scheduled = delayMs > 0;
+
+    // Outbound messages have the same shape as inbound ones
+    parsed = parsed || parseIncomingMessage(outgoing);
+    if (parsed.mediaInfo && mediaLink) parsed.mediaInfo.link = mediaLink;
+
+    const contact = await contacts.findOrCreate(to);
+    const chat = await chats.findOrCreate(contact.id, to);
+
+    const savedMessage = await messages.add(chat.id, contact.id, {
+      type: 'sent',
+      content: parsed.content,
+      preview: parsed.preview,
+      messageTypeDetail: parsed.type,
+      payload: parsed.payload,
+      mediaInfo: parsed.mediaInfo,
+      replyToMessageId: quotedMessage?.id,
+      contextWhatsappMessageId: quotedMessage?.whatsapp_message_id,
+      whatsappMessageId: null,
+      timestamp: scheduled ? sendAt : new Date(),
+      status: scheduled ? 'scheduled' : 'queued'
+    });
+
+    // Keep a copy of the media we sent, like inbound media
+    if (media) {
+      try {
+        const mediaFile = await mediaFiles.save({
+          type: media.type,
+          mimeType: media.mimeType,
+          data: media.data,
+          fileName: media.fileName,
+          whatsappMessageId: null,
+          whatsappMediaId: parsed.mediaInfo.mediaId,
+          messageId: savedMessage.id
+        });
+
+        parsed.mediaInfo = {
+          ...parsed.mediaInfo,
+          fileId: mediaFile.id,
+          url: mediaFile.url,
+          mimeType: mediaFile.mime_type,
+          fileSize: Number(mediaFile.file_size)
+        };
+        await messages.updateMedia(savedMessage.id, parsed.mediaInfo);
+      } catch (mediaError) {
+        console.error('Error saving sent media:', mediaError);
+        // Continue even if the media copy can't be stored
+      }
+    }
+
+    const queued = await outboundQueue.enqueue({
+      to: to,
+      payload: {
+        to: to,
+        ...(quotedMessage && { context: { message_id: quotedMessage.whatsapp_message_id } }),
+        ...outgoing
+      },
+      messageId: savedMessage.id,
+      delayMs: delayMs
+    });
+
+    if (scheduled) {
+      console.log(`⏰ Scheduled message ${queued.id} for ${to} at ${sendAt.toISOString()}`);
+      return { outbound: queued, savedMessage, parsed };
+    }
+
+    console.log(`💾 Queued message ${queued.id} for ${to}`);
+
+    if (!wait) {
+      return { outbound: queued, savedMessage, parsed };
+    }
+
+    const outbound = await outboundQueue.waitFor(queued.id, OUTBOUND_SEND_WAIT_MS) || queued;
+    return { outbound, savedMessage, parsed };
+  }
+
+  // Check a send request, build the WhatsApp message (text, menu, or media by
+  // upload or link) and send it, answering with sendOutboundResult. Shared by
+  // /api/send, canned responses and the n8n dispatch mode.
+  async function handleSendRequest(res, body, file = null) {
+    const { to, message, replyTo, mediaUrl, caption } = body;
+
+    if (!to || (!message && !file && !mediaUrl)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing to and message, file or mediaUrl field'
+      });
+    }
+
+    const sendAt = parseSendAt(body.send_at);
+    if (sendAt === null) {
+      return rejectInvalidSendAt(res);
+    }
+
+    // Check menus before anything else so every problem is reported at once
+    let interactive = null;
+    if (['button', 'list'].includes(body.type)) {
+      if (file || mediaUrl) {
+        return res.status(400).json({
+          success: false,
+          error: 'Interactive messages take media as a header: { type, link | id }'
+        });
+      }
+
+      try {
+        interactive = buildInteractiveMessage({ ...body, body: message });
+      } catch (error) {
+        if (error.code !== 'INTERACTIVE_INVALID') throw error;
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          details: error.details
+        });
+      }
+    }
+
+    if (await rejectOptedOut(res, to)) {
+      return;
+    }
+
+    // Text and media are free-form messages; outside the window use a template
+    if (await rejectOutsideServiceWindow(res, to, sendAt)) {
+      return;
+    }
+
+    // Quote-reply: replyTo is our message id or a WhatsApp message id
+    let quotedMessage = null;
+    if (replyTo) {
+      quotedMessage = /^\d+$/.test(String(replyTo))
+        ? await messages.findById(parseInt(replyTo))
+        : await messages.findByWhatsAppId(replyTo);
+
+      if (!quotedMessage?.whatsapp_message_id) {
+        return res.status(400).json({
+          success: false,
+          error: 'replyTo message not found'
+        });
+      }
+    }
+
+    // Build the WhatsApp message (text, menu, or media by upload or link)
+    let outgoing;
+    let media = null;
+    let parsed = null;
+
+    if (interactive) {
+      outgoing = {
+        type: 'interactive',
+        interactive: interactive.interactive
+      };
+
+      // Stored with its options so the dashboard can draw the menu
+      parsed = {
+        type: 'interactive',
+        content: interactive.renderedText,
+        preview: interactive.renderedText.substring(0, 200),
+        payload: interactive.payload,
+        mediaInfo: null
+      };
+    } else if (file || mediaUrl) {
+      let fetched;
+      try {
+        fetched = file
+          ? { data: file.buffer, mimeType: normalizeMimeType(file.mimetype) }
+          : await fetchMediaLink(mediaUrl, body.type);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: `Could not fetch mediaUrl: ${error.message}`
+        });
+      }
+
+      const type = body.type || mediaTypeForMime(fetched.mimeType);
+      const fileName = body.filename || file?.originalname ||
+        decodeURIComponent(new URL(mediaUrl).pathname.split('/').pop() || '') || `media_${Date.now()}`;
+
+      const problem = checkMediaLimits(type, fetched.mimeType, fetched.data.length);
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          error: problem
+        });
+      }
+
+      const mediaObject = file
+        ? { id: await whatsapp.uploadMedia(fetched.data, fetched.mimeType, fileName) }
+        : { link: mediaUrl };
+
+      // Captions aren't allowed on audio and stickers; filenames only on documents
+      const mediaCaption = caption || message;
+      if (mediaCaption && ['image', 'video', 'document'].includes(type)) mediaObject.caption = mediaCaption;
+      if (type === 'document') mediaObject.filename = fileName;
+
+      outgoing = { type, [type]: mediaObject };
+      media = { ...fetched, type, fileName };
+    } else {
+      outgoing = {
+        type: 'text',
+        text: {
+          preview_url: false,
+          body: message
+        }
+      };
+    }
+
+    const result = await sendWhatsAppMessage(to, outgoing, {
+      quotedMessage,
+      media,
+      mediaLink: mediaUrl,
+      parsed,
+      sendAt
+    });
+
+    sendOutboundResult(res, result, {
+      media: result.parsed.mediaInfo,
+      message: 'Message sent successfully'
+    });
+  }
+
+  // Fill in a template and send it with sendWhatsAppMessage. Parameter problems
+  // throw a TEMPLATE_INVALID error before anything is stored.
+  async function sendTemplateMessage(to, template, params, { sendAt = null, wait = true, campaignId = null } = {}) {
+    const built = buildTemplateMessage(template, params);
+
+    // Chat history shows the text the customer actually received
+    return sendWhatsAppMessage(to, {
+      type: 'template',
+      template: built.template
+    }, {
+      parsed: {
+        type: 'template',
+        content: built.renderedText,
+        preview: built.renderedText.substring(0, 200),
+        payload: {
+          name: template.name,
+          language: template.language,
+          category: template.category,
+          components: built.template.components || [],
+          ...(campaignId && { campaignId })
+        },
+        mediaInfo: null
+      },
+      sendAt,
+      wait
+    });
+  }
+
+  // Check a template send request and send it, answering with sendOutboundResult.
+  // Shared by POST /api/templates/:name/send and the n8n dispatch mode.
+  async function handleTemplateSendRequest(res, name, body) {
+    const { to, language } = body;
+
+    if (!to) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing to field'
+      });
+    }
+
+    const sendAt = parseSendAt(body.send_at);
+    if (sendAt === null) {
+      return rejectInvalidSendAt(res);
+    }
+
+    if (await rejectOptedOut(res, to)) {
+      return;
+    }
+
+    let template;
+    let result;
+    try {
+      template = await templateRegistry.select(name, language);
+      result = await sendTemplateMessage(to, template, body, { sendAt });
+    } catch (error) {
+      if (error.code !== 'TEMPLATE_INVALID') throw error;
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        details: error.details
+      });
+    }
+
+    sendOutboundResult(res, result, {
+      template: { name: template.name, language: template.language },
+      text: result.parsed.content,
+      message: 'Template sent successfully'
+    });
+  }
+
+  return {
+    outboundQueue,
+    rejectOptedOut,
+    rejectOutsideServiceWindow,
+    sendReadReceipt,
+    sendTypingIndicator,
+    sendWhatsAppMessage,
+    handleSendRequest,
+    sendTemplateMessage,
+    handleTemplateSendRequest
+  };
+}
+
+module.exports = {
+  rejectInvalidSendAt,
+  sendOutboundResult,
+  createSendController
+};
@@ -0,0 +1,201 @@
+// Authentication: n8n and admin API keys, dashboard agents and Meta webhook
+// signatures
+
+const crypto = require('crypto');
+
+// API Key Middleware for n8n
+const verifyN8nApiKey = (req, res, next) => {
+  // Skip for public endpoints
+  const publicPaths = ['/', '/ping', '/health', '/webhook', '/api/chats'];
+  if (publicPaths.includes(req.path)) {
+    return next();
+  }
+
+  // For n8n endpoints
+  if (req.path.startsWith('/api/n8n')) {
+    const apiKey = req.headers['authorization']?.replace('Bearer ', '');
+    const secretKey = req.headers['x-n8n-secret'];
+
+    // Unset credentials must never match a missing header
+    const validApiKey = !!process.env.N8N_API_KEY && apiKey === process.env.N8N_API_KEY;
+    const validSecret = !!process.env.N8N_SECRET && secretKey === process.env.N8N_SECRET;
+
+    if (validApiKey || validSecret) {
+      return next();
+    }
+
+    console.log('❌ Invalid n8n API key attempt');
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid API credentials'
+    });
+  }
+
+  next();
+};
+
+// Admin API Key Middleware (webhook inspection, replays, campaigns)
+const verifyAdminApiKey = (req, res, next) => {
+  const apiKey = req.headers['authorization']?.replace('Bearer ', '') || req.headers['x-admin-key'];
+
+  if (process.env.ADMIN_API_KEY && apiKey === process.env.ADMIN_API_KEY) {
+    return next();
+  }
+
+  console.log('❌ Invalid admin API key attempt');
+  return res.status(401).json({
+    success: false,
+    error: 'Invalid API credentials'
+  });
+};
+
+// Teams an agent belongs to, configured as AGENT_TEAMS="support:alice,bob;sales:carol"
+function getAgentTeams(name) {
+  const teams = [];
+  for (const entry of (process.env.AGENT_TEAMS || '').split(';')) {
+    const separator = entry.indexOf(':');
+    if (separator === -1) continue;
+
+    const team = entry.slice(0, separator).trim();
+    const members = entry.slice(separator + 1).split(',').map(member => member.trim());
+    if (team && members.includes(name)) teams.push(team);
+  }
+  return teams;
+}
+
+// Dashboard agents, configured as AGENT_API_KEYS="alice:key1,bob:key2".
+// The admin key acts as an agent who can see every chat.
+function findAgentByKey(apiKey) {
+  if (!apiKey) return null;
+
+  if (process.env.ADMIN_API_KEY && apiKey === process.env.ADMIN_API_KEY) {
+    return { name: 'admin', isAdmin: true, teams: [] };
+  }
+
+  for (const pair of (process.env.AGENT_API_KEYS || '').split(',')) {
+    const separator = pair.indexOf(':');
+    if (separator === -1) continue;
+
+    const name = pair.slice(0, separator).trim();
+    const key = pair.slice(separator + 1).trim();
+    if (name && key && apiKey === key) {
+      return { name, isAdmin: false, teams: getAgentTeams(name) };
+    }
+  }
+
+  return null;
+}
+
+function resolveAgent(req) {
+  return findAgentByKey(req.headers['authorization']?.replace('Bearer ', ''));
+}
+
+// Socket.IO handshake: the agent key comes in auth.token (or an Authorization
+// header for clients that can set one)
+function authenticateSocket(socket, next) {
+  const { auth, headers } = socket.handshake;
+  const agent = findAgentByKey(auth?.token || headers['authorization']?.replace('Bearer ', ''));
+
+  if (!agent) {
+    return next(new Error('Authentication required'));
+  }
+
+  socket.data.agent = agent;
+  next();
+}
+
+// Agents may see unassigned chats and chats assigned to them.
+// `contact` is the chat's contact row (null when there is none yet).
+function canAccessChat(agent, contact) {
+  if (agent.isAdmin) return true;
+
+  const assignedTo = contact?.assigned_to;
+  return !assignedTo || assignedTo === agent.name;
+}
+
+// Endpoints that act as a dashboard agent (canned responses)
+function requireAgent(req, res, next) {
+  const agent = resolveAgent(req);
+  if (!agent) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+
+  req.agent = agent;
+  next();
+}
+
+// App secrets used to sign webhooks (comma-separated so old and new secrets
+// can both be accepted while a secret is being rotated)
+function getAppSecrets() {
+  return (process.env.APP_SECRET || '')
+    .split(',')
+    .map(secret => secret.trim())
+    .filter(Boolean);
+}
+
+// Unsigned webhooks are only accepted when explicitly allowed for local development
+function isWebhookSignatureOptional() {
+  return process.env.WEBHOOK_SIGNATURE_OPTIONAL === 'true';
+}
+
+// Meta Webhook Signature Middleware (X-Hub-Signature-256).
+// Without APP_SECRET every webhook is refused, unless WEBHOOK_SIGNATURE_OPTIONAL=true.
+const verifyWebhookSignature = (req, res, next) => {
+  const secrets = getAppSecrets();
+
+  if (secrets.length === 0) {
+    if (isWebhookSignatureOptional()) {
+      console.warn('⚠️ APP_SECRET not configured - webhook signature NOT verified (WEBHOOK_SIGNATURE_OPTIONAL=true)');
+      return next();
+    }
+
+    console.log('❌ Webhook rejected: APP_SECRET not configured');
+    return res.status(401).json({
+      success: false,
+      error: 'Webhook signature verification is not configured'
+    });
+  }
+
+  const header = req.headers['x-hub-signature-256'];
+  if (!header || !header.startsWith('sha256=') || !req.rawBody) {
+    console.log('❌ Webhook rejected: missing signature');
+    return res.status(401).json({
+      success: false,
+      error: 'Missing webhook signature'
+    });
+  }
+
+  const received = Buffer.from(header.slice('sha256='.length), 'hex');
+
+  const valid = secrets.some(secret => {
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(req.rawBody)
+      .digest();
+
+    return expected.length === received.length &&
+      crypto.timingSafeEqual(expected, received);
+  });
+
+  if (!valid) {
+    console.log('❌ Webhook rejected: invalid signature');
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid webhook signature'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  verifyN8nApiKey,
+  verifyAdminApiKey,
+  resolveAgent,
+  authenticateSocket,
+  canAccessChat,
+  requireAgent,
+  getAppSecrets,
+  isWebhookSignatureOptional,
+  verifyWebhookSignature
+};
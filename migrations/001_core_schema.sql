@@ -0,0 +1,189 @@
+-- Contacts, chats, messages and media files.
+-- Databases created before migrations existed were set up by one of two
+-- initializeDatabase functions with different messages schemas, so this
+-- creates what is missing and adds any missing columns to tables that
+-- already exist.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS contacts (
+  id SERIAL PRIMARY KEY,
+  phone_number VARCHAR(20) UNIQUE NOT NULL,
+  name VARCHAR(100),
+  email VARCHAR(100),
+  tags TEXT[] DEFAULT '{}',
+  notes TEXT,
+  assigned_to VARCHAR(50),
+  status VARCHAR(20) DEFAULT 'new',
+  last_message_at TIMESTAMP,
+  message_count INTEGER DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS chats (
+  id SERIAL PRIMARY KEY,
+  contact_id INTEGER REFERENCES contacts(id) ON DELETE CASCADE,
+  phone_number VARCHAR(20) NOT NULL,
+  unread_count INTEGER DEFAULT 0,
+  last_message TEXT,
+  last_message_at TIMESTAMP,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(phone_number)
+);
+
+CREATE TABLE IF NOT EXISTS messages (
+  id SERIAL PRIMARY KEY,
+  chat_id INTEGER REFERENCES chats(id) ON DELETE CASCADE,
+  contact_id INTEGER REFERENCES contacts(id) ON DELETE CASCADE,
+  message_type VARCHAR(10) NOT NULL CHECK (message_type IN ('received', 'sent')),
+  content TEXT,
+  whatsapp_message_id VARCHAR(100),
+  status VARCHAR(20) DEFAULT 'sent',
+  timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Media-only messages have no text (server.js used to create this NOT NULL)
+ALTER TABLE messages ALTER COLUMN content DROP NOT NULL;
+
+-- Media and structured payloads (location, contacts, interactive, button,
+-- reaction), reply context and delivery status details
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS media_url TEXT;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS media_type VARCHAR(50);
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS media_caption TEXT;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS media_info JSONB;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS message_type_detail VARCHAR(50);
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS payload JSONB;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS reply_to_message_id INTEGER REFERENCES messages(id) ON DELETE SET NULL;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS context_whatsapp_message_id VARCHAR(100);
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMP;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS error_code INTEGER;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS error_title TEXT;
+
+-- Outgoing messages wait as 'queued' (or 'scheduled' until their send_at)
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_status_check;
+ALTER TABLE messages ADD CONSTRAINT messages_status_check
+  CHECK (status IN ('scheduled', 'queued', 'sent', 'delivered', 'read', 'failed', 'cancelled'));
+
+CREATE TABLE IF NOT EXISTS media_files (
+  id SERIAL PRIMARY KEY,
+  whatsapp_message_id VARCHAR(255),
+  file_type VARCHAR(50),
+  mime_type VARCHAR(100),
+  file_path TEXT,
+  file_name VARCHAR(255),
+  original_name VARCHAR(255),
+  file_size BIGINT,
+  url TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE media_files ADD COLUMN IF NOT EXISTS message_id INTEGER REFERENCES messages(id) ON DELETE SET NULL;
+ALTER TABLE media_files ADD COLUMN IF NOT EXISTS whatsapp_media_id VARCHAR(255);
+ALTER TABLE media_files ADD COLUMN IF NOT EXISTS sha256 VARCHAR(64);
+ALTER TABLE media_files ADD COLUMN IF NOT EXISTS download_status VARCHAR(20) DEFAULT 'downloaded' CHECK (download_status IN ('downloaded', 'failed'));
+ALTER TABLE media_files ADD COLUMN IF NOT EXISTS download_attempts INTEGER DEFAULT 0;
+ALTER TABLE media_files ADD COLUMN IF NOT EXISTS last_error TEXT;
+ALTER TABLE media_files ADD COLUMN IF NOT EXISTS storage_driver VARCHAR(20) DEFAULT 'local';
+ALTER TABLE media_files ADD COLUMN IF NOT EXISTS storage_key TEXT;
+
+-- Duplicate deliveries stored before whatsapp_message_id was unique have to
+-- go before the unique index can be built. The first copy is kept; the others
+-- are archived in archived_duplicate_messages (with the id of the copy kept),
+-- and what pointed at them or counted them is moved to the kept copy.
+CREATE TABLE IF NOT EXISTS archived_duplicate_messages (
+  LIKE messages,
+  kept_message_id INTEGER,
+  archived_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TEMP TABLE duplicate_messages ON COMMIT DROP AS
+SELECT m.id, kept.kept_id
+FROM messages m
+JOIN (
+  SELECT whatsapp_message_id, MIN(id) AS kept_id
+  FROM messages
+  WHERE whatsapp_message_id IS NOT NULL
+  GROUP BY whatsapp_message_id
+  HAVING COUNT(*) > 1
+) kept ON kept.whatsapp_message_id = m.whatsapp_message_id
+WHERE m.id <> kept.kept_id;
+
+INSERT INTO archived_duplicate_messages
+SELECT m.*, d.kept_id, CURRENT_TIMESTAMP
+FROM messages m
+JOIN duplicate_messages d ON d.id = m.id;
+
+UPDATE media_files f
+SET message_id = d.kept_id
+FROM duplicate_messages d
+WHERE f.message_id = d.id;
+
+UPDATE messages m
+SET reply_to_message_id = d.kept_id
+FROM duplicate_messages d
+WHERE m.reply_to_message_id = d.id;
+
+UPDATE contacts c
+SET message_count = GREATEST(c.message_count - counted.duplicates, 0)
+FROM (
+  SELECT contact_id, COUNT(*) AS duplicates
+  FROM archived_duplicate_messages
+  GROUP BY contact_id
+) counted
+WHERE c.id = counted.contact_id;
+
+UPDATE chats c
+SET unread_count = GREATEST(c.unread_count - counted.duplicates, 0)
+FROM (
+  SELECT chat_id, COUNT(*) AS duplicates
+  FROM archived_duplicate_messages
+  WHERE message_type = 'received' AND status <> 'read'
+  GROUP BY chat_id
+) counted
+WHERE c.id = counted.chat_id;
+
+DELETE FROM messages m
+USING duplicate_messages d
+WHERE m.id = d.id;
+
+UPDATE chats c
+SET last_message = latest.content,
+    last_message_at = latest.timestamp
+FROM (
+  SELECT DISTINCT ON (chat_id) chat_id, LEFT(content, 200) AS content, timestamp
+  FROM messages
+  WHERE chat_id IN (SELECT chat_id FROM archived_duplicate_messages)
+  ORDER BY chat_id, timestamp DESC, id DESC
+) latest
+WHERE c.id = latest.chat_id;
+
+DO $$
+DECLARE
+  archived INTEGER;
+BEGIN
+  SELECT COUNT(*) INTO archived FROM duplicate_messages;
+  IF archived > 0 THEN
+    RAISE NOTICE 'Archived % duplicate message(s) in archived_duplicate_messages', archived;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_contacts_phone ON contacts(phone_number);
+CREATE INDEX IF NOT EXISTS idx_chats_phone ON chats(phone_number);
+CREATE INDEX IF NOT EXISTS idx_chats_last_message ON chats(last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_messages_chat_id ON messages(chat_id);
+CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages(timestamp DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_whatsapp_id_unique ON messages(whatsapp_message_id);
+CREATE INDEX IF NOT EXISTS idx_messages_media_type ON messages(media_type);
+CREATE INDEX IF NOT EXISTS idx_media_files_message_id ON media_files(whatsapp_message_id);
+
+-- Rolling this back deletes every contact, chat and message
+-- migrate:down destructive
+DROP TABLE IF EXISTS archived_duplicate_messages;
+DROP TABLE IF EXISTS media_files;
+DROP TABLE IF EXISTS messages;
+DROP TABLE IF EXISTS chats;
+DROP TABLE IF EXISTS contacts;
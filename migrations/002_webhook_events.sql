@@ -0,0 +1,26 @@
+-- Durable inbox for raw webhook payloads
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id SERIAL PRIMARY KEY,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'processed', 'failed', 'dead')),
+  attempts INTEGER DEFAULT 0,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  locked_at TIMESTAMP,
+  last_error TEXT,
+  result JSONB,
+  phone_numbers TEXT[] DEFAULT '{}',
+  message_ids TEXT[] DEFAULT '{}',
+  received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  processed_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_due ON webhook_events(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_received ON webhook_events(received_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_phones ON webhook_events USING GIN(phone_numbers);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_message_ids ON webhook_events USING GIN(message_ids);
+
+-- migrate:down
+DROP TABLE IF EXISTS webhook_events;
@@ -0,0 +1,20 @@
+-- Message templates synced from the WABA
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS templates (
+  id SERIAL PRIMARY KEY,
+  waba_template_id VARCHAR(100),
+  name VARCHAR(512) NOT NULL,
+  language VARCHAR(20) NOT NULL,
+  category VARCHAR(50),
+  status VARCHAR(50),
+  parameter_format VARCHAR(20) DEFAULT 'POSITIONAL',
+  components JSONB NOT NULL DEFAULT '[]',
+  synced_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(name, language)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS templates;
@@ -0,0 +1,31 @@
+-- Outbound queue worked through by the dispatcher, including scheduled sends
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS outbound_messages (
+  id SERIAL PRIMARY KEY,
+  to_phone VARCHAR(20) NOT NULL,
+  payload JSONB NOT NULL,
+  message_id INTEGER REFERENCES messages(id) ON DELETE SET NULL,
+  status VARCHAR(20) DEFAULT 'queued',
+  attempts INTEGER DEFAULT 0,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  locked_at TIMESTAMP,
+  last_error TEXT,
+  graph_response JSONB,
+  whatsapp_message_id VARCHAR(100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE outbound_messages ADD COLUMN IF NOT EXISTS send_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE outbound_messages DROP CONSTRAINT IF EXISTS outbound_messages_status_check;
+ALTER TABLE outbound_messages ADD CONSTRAINT outbound_messages_status_check
+  CHECK (status IN ('scheduled', 'queued', 'sending', 'sent', 'failed', 'cancelled'));
+
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_pending ON outbound_messages(to_phone, id) WHERE status IN ('queued', 'sending');
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_message_id ON outbound_messages(message_id);
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_scheduled ON outbound_messages(send_at) WHERE status = 'scheduled';
+
+-- migrate:down
+DROP TABLE IF EXISTS outbound_messages;
@@ -0,0 +1,46 @@
+-- Template broadcasts to a contact audience
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS campaigns (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(200) NOT NULL,
+  template_name VARCHAR(512) NOT NULL,
+  language VARCHAR(20) NOT NULL,
+  audience JSONB NOT NULL,
+  parameters JSONB DEFAULT '{}',
+  rate_per_minute INTEGER DEFAULT 60,
+  status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'running', 'paused', 'completed', 'cancelled')),
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS campaign_recipients (
+  id SERIAL PRIMARY KEY,
+  campaign_id INTEGER REFERENCES campaigns(id) ON DELETE CASCADE,
+  contact_id INTEGER REFERENCES contacts(id) ON DELETE SET NULL,
+  phone_number VARCHAR(20) NOT NULL,
+  variables JSONB DEFAULT '{}',
+  message_id INTEGER REFERENCES messages(id) ON DELETE SET NULL,
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'queued', 'sent', 'delivered', 'read', 'replied', 'failed', 'skipped')),
+  error TEXT,
+  queued_at TIMESTAMP,
+  sent_at TIMESTAMP,
+  delivered_at TIMESTAMP,
+  read_at TIMESTAMP,
+  replied_at TIMESTAMP,
+  failed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(campaign_id, phone_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_recipients_pending ON campaign_recipients(campaign_id, id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_campaign_recipients_message_id ON campaign_recipients(message_id);
+CREATE INDEX IF NOT EXISTS idx_campaign_recipients_phone ON campaign_recipients(phone_number);
+
+-- migrate:down
+DROP TABLE IF EXISTS campaign_recipients;
+DROP TABLE IF EXISTS campaigns;
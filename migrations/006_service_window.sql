@@ -0,0 +1,19 @@
+-- Customer service window: free-form messages are only allowed until
+-- service_window_expires_at (24 hours after the customer's last message)
+
+-- migrate:up
+ALTER TABLE chats ADD COLUMN IF NOT EXISTS service_window_expires_at TIMESTAMP;
+
+UPDATE chats c
+SET service_window_expires_at = last_received.at + INTERVAL '24 hours'
+FROM (
+  SELECT chat_id, MAX(timestamp) as at
+  FROM messages
+  WHERE message_type = 'received'
+  GROUP BY chat_id
+) last_received
+WHERE c.id = last_received.chat_id
+  AND c.service_window_expires_at IS NULL;
+
+-- migrate:down
+ALTER TABLE chats DROP COLUMN IF EXISTS service_window_expires_at;
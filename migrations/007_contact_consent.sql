@@ -0,0 +1,26 @@
+-- Opt-out state on the contact, and the record of every consent change
+
+-- migrate:up
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS opted_out BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS consent_updated_at TIMESTAMP;
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS consent_source VARCHAR(50);
+
+CREATE TABLE IF NOT EXISTS contact_consents (
+  id SERIAL PRIMARY KEY,
+  contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+  phone_number VARCHAR(20) NOT NULL,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('opted_out', 'opted_in')),
+  source VARCHAR(50) NOT NULL,
+  keyword VARCHAR(100),
+  message_id INTEGER REFERENCES messages(id) ON DELETE SET NULL,
+  changed_by VARCHAR(50),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_consents_contact ON contact_consents(contact_id, id DESC);
+
+-- migrate:down
+DROP TABLE IF EXISTS contact_consents;
+ALTER TABLE contacts DROP COLUMN IF EXISTS consent_source;
+ALTER TABLE contacts DROP COLUMN IF EXISTS consent_updated_at;
+ALTER TABLE contacts DROP COLUMN IF EXISTS opted_out;
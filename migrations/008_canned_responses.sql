@@ -0,0 +1,30 @@
+-- Canned responses, and custom contact attributes for their placeholders
+
+-- migrate:up
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS attributes JSONB NOT NULL DEFAULT '{}';
+
+CREATE TABLE IF NOT EXISTS canned_responses (
+  id SERIAL PRIMARY KEY,
+  shortcut VARCHAR(50) NOT NULL,
+  title VARCHAR(100),
+  content TEXT NOT NULL,
+  category VARCHAR(50),
+  visibility VARCHAR(20) NOT NULL DEFAULT 'everyone'
+    CHECK (visibility IN ('everyone', 'team', 'private')),
+  team VARCHAR(50),
+  created_by VARCHAR(50) NOT NULL,
+  usage_count INTEGER NOT NULL DEFAULT 0,
+  last_used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A shortcut is unique within its scope: shared, one team or one agent
+CREATE UNIQUE INDEX IF NOT EXISTS idx_canned_responses_shortcut ON canned_responses(
+  shortcut, visibility, (COALESCE(team, '')),
+  (CASE WHEN visibility = 'private' THEN created_by ELSE '' END)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS canned_responses;
+ALTER TABLE contacts DROP COLUMN IF EXISTS attributes;
@@ -0,0 +1,9 @@
+-- Follow-up work on received messages (media download, n8n forwards) still
+-- to do. A retried webhook event resumes the steps an earlier attempt
+-- didn't finish instead of skipping the stored message as a duplicate.
+
+-- migrate:up
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS pending_steps TEXT[] NOT NULL DEFAULT '{}';
+
+-- migrate:down
+ALTER TABLE messages DROP COLUMN IF EXISTS pending_steps;
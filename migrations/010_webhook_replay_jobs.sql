@@ -0,0 +1,20 @@
+-- Bulk webhook replays, worked through by the webhook worker in the background
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS webhook_replay_jobs (
+  id SERIAL PRIMARY KEY,
+  event_ids INTEGER[] NOT NULL,
+  reprocess BOOLEAN DEFAULT false,
+  status VARCHAR(20) DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed')),
+  processed INTEGER DEFAULT 0,
+  results JSONB DEFAULT '[]',
+  locked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_replay_jobs_open ON webhook_replay_jobs(id) WHERE status IN ('queued', 'running');
+
+-- migrate:down
+DROP TABLE IF EXISTS webhook_replay_jobs;
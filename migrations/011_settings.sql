@@ -0,0 +1,12 @@
+-- Workspace settings changed at runtime from the admin API (see services/settings.js)
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS settings (
+  key VARCHAR(100) PRIMARY KEY,
+  value JSONB NOT NULL,
+  updated_by VARCHAR(100),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS settings;
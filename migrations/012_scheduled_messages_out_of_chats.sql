@@ -0,0 +1,35 @@
+-- Scheduled messages no longer update their chat and contact until they are
+-- sent. Take back what scheduled and cancelled messages added before that.
+
+-- migrate:up
+UPDATE contacts c
+SET message_count = GREATEST(c.message_count - counted.unsent, 0)
+FROM (
+  SELECT contact_id, COUNT(*) AS unsent
+  FROM messages
+  WHERE status IN ('scheduled', 'cancelled')
+  GROUP BY contact_id
+) counted
+WHERE c.id = counted.contact_id;
+
+UPDATE chats c
+SET last_message = latest.content,
+    last_message_at = latest.timestamp
+FROM (
+  SELECT DISTINCT ON (chat_id) chat_id, LEFT(content, 200) AS content, timestamp
+  FROM messages
+  WHERE chat_id IN (SELECT chat_id FROM messages WHERE status IN ('scheduled', 'cancelled'))
+    AND status NOT IN ('scheduled', 'cancelled')
+  ORDER BY chat_id, timestamp DESC, id DESC
+) latest
+WHERE c.id = latest.chat_id;
+
+-- Chats that have nothing but unsent messages
+UPDATE chats c
+SET last_message = NULL,
+    last_message_at = c.created_at
+WHERE EXISTS (SELECT 1 FROM messages WHERE chat_id = c.id AND status IN ('scheduled', 'cancelled'))
+  AND NOT EXISTS (SELECT 1 FROM messages WHERE chat_id = c.id AND status NOT IN ('scheduled', 'cancelled'));
+
+-- migrate:down
+-- Nothing to undo: the counts and previews were wrong before
@@ -0,0 +1,78 @@
+// Queries on the chats table (one chat per phone number)
+
+const { getServiceWindow } = require('../services/service-window');
+
+function createChatRepository({ pool }) {
+  return {
+    async findOrCreate(contactId, phoneNumber) {
+      try {
+        const findResult = await pool.query(
+          'SELECT * FROM chats WHERE phone_number = $1',
+          [phoneNumber]
+        );
+
+        if (findResult.rows.length > 0) {
+          return findResult.rows[0];
+        }
+
+        // Create new chat; a concurrent delivery may have just created it
+        const createResult = await pool.query(
+          `INSERT INTO chats
+           (contact_id, phone_number, unread_count, last_message_at)
+           VALUES ($1, $2, 0, CURRENT_TIMESTAMP)
+           ON CONFLICT (phone_number) DO UPDATE SET phone_number = EXCLUDED.phone_number
+           RETURNING *`,
+          [contactId, phoneNumber]
+        );
+
+        return createResult.rows[0];
+      } catch (error) {
+        console.error('Chat find/create error:', error);
+        throw error;
+      }
+    },
+
+    async findByPhone(phoneNumber) {
+      const result = await pool.query(
+        'SELECT * FROM chats WHERE phone_number = $1',
+        [phoneNumber]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Active chats with their contact, most recent first
+    async list(limit = 100) {
+      const result = await pool.query(
+        `SELECT
+           c.*,
+           ct.name as contact_name,
+           ct.status as contact_status,
+           ct.email as contact_email,
+           ct.opted_out as contact_opted_out,
+           (SELECT COUNT(*) FROM messages m WHERE m.chat_id = c.id) as total_messages
+         FROM chats c
+         LEFT JOIN contacts ct ON c.contact_id = ct.id
+         WHERE c.is_active = TRUE
+         ORDER BY c.last_message_at DESC NULLS LAST
+         LIMIT $1`,
+        [limit]
+      );
+      return result.rows.map(chat => ({
+        ...chat,
+        service_window_open: getServiceWindow(chat).open
+      }));
+    },
+
+    async markRead(phoneNumber) {
+      await pool.query(
+        `UPDATE chats
+         SET unread_count = 0,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE phone_number = $1`,
+        [phoneNumber]
+      );
+    }
+  };
+}
+
+module.exports = { createChatRepository };
@@ -0,0 +1,109 @@
+// Queries on the contacts table
+
+// Columns update() may write. Consent goes through the consent registry so
+// every change is recorded; counters and timestamps are kept by the server.
+const UPDATABLE_CONTACT_FIELDS = ['name', 'email', 'tags', 'notes', 'assigned_to', 'status', 'attributes'];
+
+function createContactRepository({ pool }) {
+  return {
+    // Find a contact by phone number or create it. Messages are counted by
+    // messages.add once they are actually stored.
+    async findOrCreate(phoneNumber, name = null) {
+      try {
+        // Try to find existing contact
+        const findResult = await pool.query(
+          'SELECT * FROM contacts WHERE phone_number = $1',
+          [phoneNumber]
+        );
+
+        if (findResult.rows.length > 0) {
+          return findResult.rows[0];
+        }
+
+        // Create new contact; a concurrent delivery may have just created it
+        const createResult = await pool.query(
+          `INSERT INTO contacts
+           (phone_number, name, last_message_at, message_count)
+           VALUES ($1, $2, CURRENT_TIMESTAMP, 0)
+           ON CONFLICT (phone_number) DO UPDATE SET phone_number = EXCLUDED.phone_number
+           RETURNING *`,
+          [phoneNumber, name || `+${phoneNumber}`]
+        );
+
+        return createResult.rows[0];
+      } catch (error) {
+        console.error('Contact find/create error:', error);
+        throw error;
+      }
+    },
+
+    async findById(id) {
+      const result = await pool.query(
+        'SELECT * FROM contacts WHERE id = $1',
+        [id]
+      );
+      return result.rows[0] || null;
+    },
+
+    async findByPhone(phoneNumber) {
+      const result = await pool.query(
+        'SELECT * FROM contacts WHERE phone_number = $1',
+        [phoneNumber]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Most recently active first
+    async list(limit = 100) {
+      const result = await pool.query(
+        `SELECT * FROM contacts
+         ORDER BY last_message_at DESC NULLS LAST, created_at DESC
+         LIMIT $1`,
+        [limit]
+      );
+      return result.rows;
+    },
+
+    // Set some of the UPDATABLE_CONTACT_FIELDS (undefined values are skipped;
+    // any other key is refused). Returns null when there is nothing to set or
+    // the contact doesn't exist.
+    async update(id, updates) {
+      const unknown = Object.keys(updates).filter(key => !UPDATABLE_CONTACT_FIELDS.includes(key));
+      if (unknown.length > 0) {
+        throw new Error(`Contact fields can't be updated: ${unknown.join(', ')}`);
+      }
+
+      const fields = [];
+      const values = [];
+      let paramCount = 1;
+
+      Object.keys(updates).forEach(key => {
+        if (updates[key] !== undefined) {
+          fields.push(`${key} = $${paramCount}`);
+          values.push(updates[key]);
+          paramCount++;
+        }
+      });
+
+      if (fields.length === 0) return null;
+
+      fields.push('updated_at = CURRENT_TIMESTAMP');
+      values.push(id);
+
+      const queryStr = `
+        UPDATE contacts
+        SET ${fields.join(', ')}
+        WHERE id = $${paramCount}
+        RETURNING *
+      `;
+
+      const result = await pool.query(queryStr, values);
+      return result.rows[0] || null;
+    }
+  };
+}
+
+module.exports = {
+  UPDATABLE_CONTACT_FIELDS,
+  createContactRepository
+};
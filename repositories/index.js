@@ -0,0 +1,23 @@
+// Repository layer: every query on contacts, chats, messages and media_files
+// goes through here. Services that own their tables (templates, campaigns,
+// the outbound queue...) keep their own queries.
+
+const { UPDATABLE_CONTACT_FIELDS, createContactRepository } = require('./contacts');
+const { createChatRepository } = require('./chats');
+const { MESSAGE_STATUS_TRANSITIONS, createMessageRepository } = require('./messages');
+const { createMediaRepository } = require('./media');
+
+function createRepositories({ pool }) {
+  return {
+    contacts: createContactRepository({ pool }),
+    chats: createChatRepository({ pool }),
+    messages: createMessageRepository({ pool }),
+    media: createMediaRepository({ pool })
+  };
+}
+
+module.exports = {
+  MESSAGE_STATUS_TRANSITIONS,
+  UPDATABLE_CONTACT_FIELDS,
+  createRepositories
+};
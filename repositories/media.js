@@ -0,0 +1,185 @@
+// Queries on the media_files table. Saving and deleting also write or remove
+// the file itself in the configured storage backend.
+
+const { getStorage, resolveMediaLocation } = require('../services/storage');
+
+const MIME_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/aac': 'aac',
+  'audio/mp4': 'm4a',
+  'audio/opus': 'opus',
+  'audio/amr': 'amr',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'application/pdf': 'pdf',
+  'text/plain': 'txt',
+  'text/csv': 'csv',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/msword': 'doc',
+  'application/vnd.ms-excel': 'xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.ms-powerpoint': 'ppt',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx'
+};
+
+// Get file extension from mime type
+function getFileExtension(mimeType) {
+  return MIME_EXTENSIONS[mimeType] || 'bin';
+}
+
+function createMediaRepository({ pool }) {
+  return {
+    // Store the file and record it; returns the row with its /api/media URL
+    async save(mediaData) {
+      try {
+        const {
+          type,
+          mimeType,
+          data,
+          fileName,
+          whatsappMessageId,
+          whatsappMediaId = null,
+          messageId = null,
+          sha256 = null,
+          attempts = 0
+        } = mediaData;
+
+        if (!data || data.length === 0) {
+          throw new Error('No media data to save');
+        }
+
+        // Generate unique filename
+        const uniqueFileName = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}.${getFileExtension(mimeType)}`;
+
+        // Write the file to the configured storage backend
+        const storage = getStorage();
+        const storageKey = `${type}s/${uniqueFileName}`;
+        const stored = await storage.put(storageKey, data, { contentType: mimeType });
+
+        // Save to database
+        let result;
+        try {
+          result = await pool.query(
+            `INSERT INTO media_files
+             (whatsapp_message_id, file_type, mime_type, file_path, file_name, original_name,
+              file_size, message_id, whatsapp_media_id, sha256, download_status, download_attempts,
+              storage_driver, storage_key)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'downloaded', $11, $12, $13)
+             RETURNING *`,
+            [
+              whatsappMessageId,
+              type,
+              mimeType,
+              stored.location,
+              uniqueFileName,
+              fileName || `media_${Date.now()}`,
+              data.length,
+              messageId,
+              whatsappMediaId,
+              sha256,
+              attempts,
+              storage.name,
+              storageKey
+            ]
+          );
+        } catch (error) {
+          // Don't leave orphaned files behind
+          await storage.delete(storageKey).catch(() => {});
+          throw error;
+        }
+
+        const url = `/api/media/${result.rows[0].id}`;
+        await pool.query('UPDATE media_files SET url = $1 WHERE id = $2', [url, result.rows[0].id]);
+
+        return {
+          ...result.rows[0],
+          url
+        };
+      } catch (error) {
+        console.error('Save media error:', error);
+        throw error;
+      }
+    },
+
+    // Record a media file that could not be downloaded
+    async recordFailedDownload(mediaData) {
+      const result = await pool.query(
+        `INSERT INTO media_files
+         (whatsapp_message_id, file_type, mime_type, original_name, message_id,
+          whatsapp_media_id, download_status, download_attempts, last_error)
+         VALUES ($1, $2, $3, $4, $5, $6, 'failed', $7, $8)
+         RETURNING *`,
+        [
+          mediaData.whatsappMessageId,
+          mediaData.type,
+          mediaData.mimeType,
+          mediaData.fileName,
+          mediaData.messageId,
+          mediaData.whatsappMediaId,
+          mediaData.attempts || 0,
+          mediaData.error
+        ]
+      );
+      return result.rows[0];
+    },
+
+    // With the phone number of the chat it belongs to
+    async findById(id) {
+      const result = await pool.query(
+        `SELECT mf.*, c.phone_number
+         FROM media_files mf
+         LEFT JOIN messages m ON m.id = mf.message_id
+            OR (mf.message_id IS NULL AND m.whatsapp_message_id = mf.whatsapp_message_id)
+         LEFT JOIN chats c ON c.id = m.chat_id
+         WHERE mf.id = $1
+         LIMIT 1`,
+        [id]
+      );
+      return result.rows[0];
+    },
+
+    // The downloaded copy if there is one, otherwise the latest attempt
+    async findByWhatsAppMessageId(whatsappMessageId) {
+      const result = await pool.query(
+        `SELECT * FROM media_files WHERE whatsapp_message_id = $1
+         ORDER BY (download_status = 'downloaded') DESC, id DESC
+         LIMIT 1`,
+        [whatsappMessageId]
+      );
+      return result.rows[0];
+    },
+
+    // Point a row at its new storage backend (see scripts/migrate-media.js)
+    async updateLocation(id, storageDriver, storageKey, filePath) {
+      const result = await pool.query(
+        `UPDATE media_files
+         SET storage_driver = $2,
+             storage_key = $3,
+             file_path = $4,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [id, storageDriver, storageKey, filePath]
+      );
+      return result.rows[0];
+    },
+
+    // Delete the row and the stored file
+    async remove(id) {
+      const result = await pool.query('DELETE FROM media_files WHERE id = $1 RETURNING *', [id]);
+      const media = result.rows[0];
+
+      if (media && (media.storage_key || media.file_path)) {
+        const { storage, key } = resolveMediaLocation(media);
+        await storage.delete(key);
+      }
+    }
+  };
+}
+
+module.exports = { createMediaRepository };
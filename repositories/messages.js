@@ -0,0 +1,365 @@
+// Queries on the messages table
+
+const { SERVICE_WINDOW_HOURS } = require('../services/service-window');
+
+// Statuses a message may be in before moving to each delivery status,
+// so late or out-of-order status webhooks never move a message backwards
+const MESSAGE_STATUS_TRANSITIONS = {
+  delivered: ['sent'],
+  read: ['sent', 'delivered'],
+  failed: ['sent']
+};
+
+function createMessageRepository({ pool }) {
+  return {
+    // With the phone number of its chat
+    async findById(id) {
+      const result = await pool.query(
+        `SELECT m.*, c.phone_number
+         FROM messages m
+         LEFT JOIN chats c ON c.id = m.chat_id
+         WHERE m.id = $1`,
+        [id]
+      );
+      return result.rows[0] || null;
+    },
+
+    async findByWhatsAppId(whatsappMessageId) {
+      const result = await pool.query(
+        'SELECT * FROM messages WHERE whatsapp_message_id = $1',
+        [whatsappMessageId]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Store a message and update its chat and contact. Returns null (and
+    // leaves both untouched) when a message with the same whatsapp_message_id
+    // has already been stored. pendingSteps lists follow-up work still to do
+    // on a received message (see completeStep). A scheduled message leaves
+    // its chat and contact alone until it goes out (see updateQueued).
+    async add(chatId, contactId, messageData) {
+      try {
+        // Insert message
+        const messageResult = await pool.query(
+          `INSERT INTO messages
+           (chat_id, contact_id, message_type, content, whatsapp_message_id, status, timestamp,
+            message_type_detail, payload, media_info, media_type, media_caption,
+            reply_to_message_id, context_whatsapp_message_id, pending_steps)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+           ON CONFLICT (whatsapp_message_id) DO NOTHING
+           RETURNING *`,
+          [
+            chatId,
+            contactId,
+            messageData.type,
+            messageData.content,
+            messageData.whatsappMessageId,
+            messageData.status || 'delivered',
+            messageData.timestamp || new Date(),
+            messageData.messageTypeDetail || null,
+            messageData.payload ? JSON.stringify(messageData.payload) : null,
+            messageData.mediaInfo ? JSON.stringify(messageData.mediaInfo) : null,
+            messageData.mediaInfo?.type || null,
+            messageData.mediaInfo?.caption || null,
+            messageData.replyToMessageId || null,
+            messageData.contextWhatsappMessageId || null,
+            messageData.pendingSteps || []
+          ]
+        );
+
+        if (messageResult.rows.length === 0) {
+          return null;
+        }
+
+        if (messageData.status === 'scheduled') {
+          return messageResult.rows[0];
+        }
+
+        // Update chat metadata; a received message reopens the service window
+        const timestamp = new Date(messageData.timestamp || Date.now());
+        const windowExpiresAt = messageData.type === 'received'
+          ? new Date(timestamp.getTime() + SERVICE_WINDOW_HOURS * 60 * 60 * 1000)
+          : null;
+
+        await pool.query(
+          `UPDATE chats
+           SET last_message = $1,
+               last_message_at = $2,
+               unread_count = unread_count + $3,
+               service_window_expires_at = GREATEST(service_window_expires_at, $5),
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $4`,
+          [
+            messageData.preview || messageData.content.substring(0, 200),
+            messageData.timestamp || new Date(),
+            messageData.type === 'received' ? 1 : 0,
+            chatId,
+            windowExpiresAt
+          ]
+        );
+
+        await pool.query(
+          `UPDATE contacts
+           SET last_message_at = CURRENT_TIMESTAMP,
+               message_count = message_count + 1,
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1`,
+          [contactId]
+        );
+
+        return messageResult.rows[0];
+      } catch (error) {
+        console.error('Add message error:', error);
+        throw error;
+      }
+    },
+
+    // Move a message forward to a new delivery status (never backwards).
+    // Returns the updated row, or null if the message is unknown or already past it.
+    async updateStatus(whatsappMessageId, status, details = {}) {
+      const previousStatuses = MESSAGE_STATUS_TRANSITIONS[status];
+      if (!previousStatuses) return null;
+
+      const result = await pool.query(
+        `UPDATE messages
+         SET status = $2,
+             status_updated_at = $3,
+             error_code = COALESCE($4, error_code),
+             error_title = COALESCE($5, error_title)
+         WHERE whatsapp_message_id = $1
+           AND status = ANY($6)
+         RETURNING *`,
+        [
+          whatsappMessageId,
+          status,
+          details.timestamp || new Date(),
+          details.errorCode || null,
+          details.errorTitle || null,
+          previousStatuses
+        ]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Fill in the outcome of a queued or scheduled outgoing message. A
+    // scheduled message only now becomes its chat's latest message and is
+    // counted for its contact.
+    async updateQueued(messageId, { whatsappMessageId = null, status, errorCode = null, errorTitle = null }) {
+      const result = await pool.query(
+        `WITH previous AS (
+           SELECT id, status FROM messages WHERE id = $1 FOR UPDATE
+         )
+         UPDATE messages m
+         SET whatsapp_message_id = COALESCE($2, m.whatsapp_message_id),
+             status = $3,
+             status_updated_at = CURRENT_TIMESTAMP,
+             error_code = $4,
+             error_title = $5
+         FROM previous
+         WHERE m.id = previous.id
+           AND previous.status IN ('queued', 'scheduled')
+         RETURNING m.*, previous.status AS previous_status`,
+        [messageId, whatsappMessageId, status, errorCode, errorTitle]
+      );
+
+      if (whatsappMessageId) {
+        await pool.query(
+          'UPDATE media_files SET whatsapp_message_id = $2 WHERE message_id = $1',
+          [messageId, whatsappMessageId]
+        );
+      }
+
+      if (result.rows.length === 0) return null;
+      const { previous_status: previousStatus, ...message } = result.rows[0];
+
+      if (previousStatus === 'scheduled') {
+        await pool.query(
+          `UPDATE chats
+           SET last_message = LEFT($2, 200),
+               last_message_at = $3,
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1
+             AND (last_message_at IS NULL OR last_message_at <= $3)`,
+          [message.chat_id, message.content, message.timestamp]
+        );
+
+        await pool.query(
+          `UPDATE contacts
+           SET last_message_at = CURRENT_TIMESTAMP,
+               message_count = message_count + 1,
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1`,
+          [message.contact_id]
+        );
+      }
+
+      return message;
+    },
+
+    // Messages for a chat still waiting for their send_at, soonest first
+    async listScheduled(phoneNumber) {
+      const result = await pool.query(
+        `SELECT m.*, o.id as outbound_id, o.send_at
+         FROM outbound_messages o
+         JOIN messages m ON m.id = o.message_id
+         WHERE o.to_phone = $1
+           AND o.status = 'scheduled'
+         ORDER BY o.send_at ASC, o.id ASC`,
+        [phoneNumber]
+      );
+      return result.rows;
+    },
+
+    // Edit or cancel a message that is still waiting for its send_at
+    async updateScheduled(messageId, { content = null, timestamp = null, status = null }) {
+      const result = await pool.query(
+        `UPDATE messages
+         SET content = COALESCE($2, content),
+             timestamp = COALESCE($3, timestamp),
+             status = COALESCE($4, status)
+         WHERE id = $1
+           AND status = 'scheduled'
+         RETURNING *`,
+        [messageId, content, timestamp, status]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Overwrite what was parsed out of a stored received message (replays in
+    // reprocess mode) and queue the follow-up steps given. The chat preview is
+    // refreshed too when this is still the chat's latest message.
+    async reprocess(messageId, messageData) {
+      const result = await pool.query(
+        `UPDATE messages
+         SET content = $2,
+             message_type_detail = $3,
+             payload = $4,
+             media_info = $5,
+             media_type = $6,
+             media_caption = $7,
+             media_url = $8,
+             reply_to_message_id = $9,
+             context_whatsapp_message_id = $10,
+             pending_steps = ARRAY(SELECT DISTINCT unnest(pending_steps || $11::text[]))
+         WHERE id = $1
+         RETURNING *`,
+        [
+          messageId,
+          messageData.content,
+          messageData.messageTypeDetail || null,
+          messageData.payload ? JSON.stringify(messageData.payload) : null,
+          messageData.mediaInfo ? JSON.stringify(messageData.mediaInfo) : null,
+          messageData.mediaInfo?.type || null,
+          messageData.mediaInfo?.caption || null,
+          messageData.mediaInfo?.url || null,
+          messageData.replyToMessageId || null,
+          messageData.contextWhatsappMessageId || null,
+          messageData.pendingSteps || []
+        ]
+      );
+
+      const message = result.rows[0];
+      if (!message) return null;
+
+      await pool.query(
+        `UPDATE chats
+         SET last_message = $2,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+           AND NOT EXISTS (
+             SELECT 1 FROM messages
+             WHERE chat_id = $1
+               AND (timestamp > $3 OR (timestamp = $3 AND id > $4))
+           )`,
+        [
+          message.chat_id,
+          messageData.preview || messageData.content.substring(0, 200),
+          message.timestamp,
+          message.id
+        ]
+      );
+
+      return message;
+    },
+
+    // Cross a finished follow-up step off a received message
+    async completeStep(messageId, step) {
+      await pool.query(
+        `UPDATE messages
+         SET pending_steps = array_remove(pending_steps, $2)
+         WHERE id = $1`,
+        [messageId, step]
+      );
+    },
+
+    // Attach stored media details to a message
+    async updateMedia(messageId, mediaInfo) {
+      const result = await pool.query(
+        `UPDATE messages
+         SET media_info = $2,
+             media_url = $3
+         WHERE id = $1
+         RETURNING *`,
+        [messageId, JSON.stringify(mediaInfo), mediaInfo.url || null]
+      );
+      return result.rows[0];
+    },
+
+    // A chat's messages, oldest first, with the message each one quotes
+    async listForChat(phoneNumber, limit = 200) {
+      const result = await pool.query(
+        `SELECT
+           m.*,
+           ct.name as contact_name,
+           q.whatsapp_message_id as quoted_whatsapp_message_id,
+           q.message_type as quoted_message_type,
+           q.message_type_detail as quoted_message_type_detail,
+           LEFT(q.content, 200) as quoted_content,
+           o.send_at as scheduled_for
+         FROM messages m
+         LEFT JOIN contacts ct ON m.contact_id = ct.id
+         LEFT JOIN messages q ON q.id = m.reply_to_message_id
+         LEFT JOIN outbound_messages o ON o.message_id = m.id AND o.status = 'scheduled'
+         WHERE m.chat_id = (SELECT id FROM chats WHERE phone_number = $1)
+           AND m.status <> 'cancelled'
+         ORDER BY m.timestamp ASC
+         LIMIT $2`,
+        [phoneNumber, limit]
+      );
+      return result.rows;
+    },
+
+    // Latest received message of a chat, the one a read receipt is sent for
+    async findLatestReceived(phoneNumber) {
+      const result = await pool.query(
+        `SELECT m.* FROM messages m
+         JOIN chats c ON c.id = m.chat_id
+         WHERE c.phone_number = $1
+           AND m.message_type = 'received'
+           AND m.whatsapp_message_id IS NOT NULL
+         ORDER BY m.timestamp DESC, m.id DESC
+         LIMIT 1`,
+        [phoneNumber]
+      );
+      return result.rows[0] || null;
+    },
+
+    // WhatsApp treats everything up to a read message as read, so do we
+    async markReceivedRead(chatId, upToMessageId) {
+      await pool.query(
+        `UPDATE messages
+         SET status = 'read'
+         WHERE chat_id = $1
+           AND message_type = 'received'
+           AND status <> 'read'
+           AND id <= $2`,
+        [chatId, upToMessageId]
+      );
+    }
+  };
+}
+
+module.exports = {
+  MESSAGE_STATUS_TRANSITIONS,
+  createMessageRepository
+};
@@ -0,0 +1,310 @@
+// Admin endpoints (admin key required, see verifyAdminApiKey): templates,
+// business profile, workspace settings, webhook events and the outbound queue
+
+const express = require('express');
+const { WhatsAppParameterError } = require('../services/whatsapp-client');
+const { parseDateParam } = require('../services/dates');
+const { MAX_BULK_REPLAY } = require('../services/webhook-inbox');
+const { SettingValidationError } = require('../services/settings');
+
+const BUSINESS_PROFILE_FIELDS = ['about', 'address', 'description', 'email', 'websites', 'vertical', 'profile_picture_handle'];
+
+function createAdminRouter({ whatsapp, settings, templateRegistry, webhookInbox, sendController }) {
+  const router = express.Router();
+  const { outboundQueue } = sendController;
+
+  // Pull templates from the WhatsApp Business Account
+  router.post('/api/admin/templates/sync', async (req, res) => {
+    try {
+      const result = await templateRegistry.sync();
+      res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('❌ Template sync error:', error.body || error.message);
+      res.status(500).json({
+        success: false,
+        error: error.body || error.message
+      });
+    }
+  });
+
+  // WhatsApp business profile shown to customers
+  router.get('/api/admin/business-profile', async (req, res) => {
+    try {
+      const profile = await whatsapp.getBusinessProfile();
+      res.json({ success: true, profile });
+    } catch (error) {
+      console.error('❌ Business profile error:', error.body || error.message);
+      res.status(500).json({
+        success: false,
+        error: error.body || error.message
+      });
+    }
+  });
+
+  // Update some of the business profile fields
+  router.patch('/api/admin/business-profile', async (req, res) => {
+    try {
+      const unknown = Object.keys(req.body).filter(field => !BUSINESS_PROFILE_FIELDS.includes(field));
+      if (unknown.length > 0 || Object.keys(req.body).length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Give one or more of: ${BUSINESS_PROFILE_FIELDS.join(', ')}`
+        });
+      }
+
+      await whatsapp.updateBusinessProfile(req.body);
+      const profile = await whatsapp.getBusinessProfile();
+      res.json({ success: true, profile });
+    } catch (error) {
+      console.error('❌ Business profile update error:', error.body || error.message);
+      res.status(error instanceof WhatsAppParameterError ? 400 : 500).json({
+        success: false,
+        error: error.body || error.message
+      });
+    }
+  });
+
+  // Workspace settings (e.g. read_receipts) and their current values
+  router.get('/api/admin/settings', async (req, res) => {
+    try {
+      res.json({ success: true, settings: await settings.getAll() });
+    } catch (error) {
+      console.error('Error fetching settings:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Change settings: { read_receipts: false }
+  router.patch('/api/admin/settings', async (req, res) => {
+    try {
+      if (!req.body || Object.keys(req.body).length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Give one or more settings to change'
+        });
+      }
+
+      const updated = await settings.update(req.body, { changedBy: 'admin' });
+      res.json({ success: true, settings: updated });
+    } catch (error) {
+      if (error instanceof SettingValidationError) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      console.error('Error updating settings:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // List webhook events waiting for a retry or in the dead letter state
+  router.get('/api/admin/webhook-events/failed', async (req, res) => {
+    try {
+      const { status } = req.query;
+
+      if (status && !['failed', 'dead'].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: 'status must be failed or dead'
+        });
+      }
+
+      const events = await webhookInbox.listFailed({
+        status: status || null,
+        limit: Math.min(parseInt(req.query.limit) || 100, 500)
+      });
+
+      res.json({ success: true, count: events.length, events });
+    } catch (error) {
+      console.error('Error fetching failed webhook events:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // List raw webhook events, filtered by phone number, message id, status and date
+  router.get('/api/admin/webhook-events', async (req, res) => {
+    try {
+      const { phone, messageId, status } = req.query;
+      const from = parseDateParam(req.query.from);
+      const to = parseDateParam(req.query.to);
+
+      if (from === null || to === null) {
+        return res.status(400).json({
+          success: false,
+          error: 'from and to must be valid dates'
+        });
+      }
+
+      const events = await webhookInbox.list({
+        phone,
+        messageId,
+        status,
+        from,
+        to,
+        limit: Math.min(parseInt(req.query.limit) || 100, 500),
+        offset: parseInt(req.query.offset) || 0
+      });
+
+      res.json({ success: true, count: events.length, events });
+    } catch (error) {
+      console.error('Error fetching webhook events:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Queue a replay of a range of webhook events; the webhook worker runs it
+  // in the background. Body: { ids: [...] } or { fromId, toId } or { from, to }
+  // (received dates), plus reprocess: true to re-parse stored messages.
+  // Poll GET /api/admin/webhook-replays/:id for progress.
+  router.post('/api/admin/webhook-events/replay', async (req, res) => {
+    try {
+      const { ids, fromId, toId, reprocess } = req.body;
+      const from = parseDateParam(req.body.from);
+      const to = parseDateParam(req.body.to);
+
+      if (from === null || to === null) {
+        return res.status(400).json({
+          success: false,
+          error: 'from and to must be valid dates'
+        });
+      }
+
+      let eventIds;
+      if (Array.isArray(ids) && ids.length > 0) {
+        eventIds = ids.map(id => parseInt(id)).filter(id => !isNaN(id));
+      } else if (fromId || toId || from || to) {
+        eventIds = await webhookInbox.findRange({ fromId, toId, from, to, limit: MAX_BULK_REPLAY + 1 });
+      } else {
+        return res.status(400).json({
+          success: false,
+          error: 'Provide ids, fromId/toId or from/to'
+        });
+      }
+
+      if (eventIds.length > MAX_BULK_REPLAY) {
+        return res.status(400).json({
+          success: false,
+          error: `Cannot replay more than ${MAX_BULK_REPLAY} events at once`
+        });
+      }
+
+      if (eventIds.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No webhook events match'
+        });
+      }
+
+      const job = await webhookInbox.queueReplay(eventIds, { reprocess: reprocess === true });
+
+      res.status(202).json({
+        success: true,
+        jobId: job.id,
+        events: eventIds.length,
+        statusUrl: `/api/admin/webhook-replays/${job.id}`
+      });
+    } catch (error) {
+      console.error('Error queueing webhook replay:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Progress and per-event results of a bulk replay
+  router.get('/api/admin/webhook-replays/:id', async (req, res) => {
+    try {
+      const job = await webhookInbox.getReplayJob(parseInt(req.params.id));
+
+      if (!job) {
+        return res.status(404).json({ error: 'Replay job not found' });
+      }
+
+      res.json({
+        success: true,
+        job: {
+          id: job.id,
+          status: job.status,
+          reprocess: job.reprocess,
+          total: job.event_ids.length,
+          processed: job.processed,
+          replayed: job.results.filter(result => result.status === 'processed').length,
+          failed: job.results.filter(result => result.status !== 'processed').length,
+          results: job.results,
+          createdAt: job.created_at,
+          startedAt: job.started_at,
+          finishedAt: job.finished_at
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching replay job:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get a single raw webhook event
+  router.get('/api/admin/webhook-events/:id', async (req, res) => {
+    try {
+      const event = await webhookInbox.getEvent(parseInt(req.params.id));
+
+      if (!event) {
+        return res.status(404).json({ error: 'Webhook event not found' });
+      }
+
+      res.json({ success: true, event });
+    } catch (error) {
+      console.error('Error fetching webhook event:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Re-run a single webhook event through the ingestion pipeline
+  // Body: { reprocess: true } re-parses messages that were already stored
+  router.post('/api/admin/webhook-events/:id/replay', async (req, res) => {
+    try {
+      const event = await webhookInbox.replay(parseInt(req.params.id), {
+        reprocess: req.body?.reprocess === true
+      });
+
+      if (!event) {
+        return res.status(404).json({ error: 'Webhook event not found' });
+      }
+
+      res.json({
+        success: event.status === 'processed',
+        event
+      });
+    } catch (error) {
+      console.error('Error replaying webhook event:', error);
+      res.status(error.code === 'EVENT_BUSY' ? 409 : 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // List outbound queue entries (?status=queued|sending|sent|failed&to=...)
+  router.get('/api/admin/outbound-messages', async (req, res) => {
+    try {
+      const { status, to } = req.query;
+
+      if (status && !['queued', 'sending', 'sent', 'failed'].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: 'status must be queued, sending, sent or failed'
+        });
+      }
+
+      const messages = await outboundQueue.list({
+        status: status || null,
+        to: to || null,
+        limit: Math.min(parseInt(req.query.limit) || 100, 500)
+      });
+
+      res.json({ success: true, count: messages.length, messages });
+    } catch (error) {
+      console.error('Error fetching outbound messages:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,138 @@
+// Template campaigns (admin key required, see verifyAdminApiKey)
+
+const express = require('express');
+const { CAMPAIGN_STATUSES } = require('../services/campaigns');
+
+const CAMPAIGN_ACTIONS = {
+  start: 'startCampaign',
+  pause: 'pauseCampaign',
+  resume: 'resumeCampaign',
+  cancel: 'cancelCampaign'
+};
+
+function createCampaignsRouter({ campaignManager }) {
+  const router = express.Router();
+
+  // Create a draft campaign
+  // Body: { name, template, language, audience: { tags, tagMatch: 'any'|'all', status, assignedTo },
+  //         parameters, variables, ratePerMinute }
+  // parameters use the template send format; strings may contain {{contact.name}},
+  // {{contact.phone_number}}, {{contact.email}} or {{variable}} from variables[phone]
+  router.post('/api/campaigns', async (req, res) => {
+    try {
+      const campaign = await campaignManager.create(req.body);
+      res.status(201).json({ success: true, campaign });
+    } catch (error) {
+      if (['CAMPAIGN_INVALID', 'TEMPLATE_INVALID'].includes(error.code)) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          details: error.details
+        });
+      }
+      console.error('Error creating campaign:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.get('/api/campaigns', async (req, res) => {
+    try {
+      const { status } = req.query;
+
+      if (status && !CAMPAIGN_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of ${CAMPAIGN_STATUSES.join(', ')}`
+        });
+      }
+
+      const campaigns = await campaignManager.list({
+        status: status || null,
+        limit: Math.min(parseInt(req.query.limit) || 100, 500)
+      });
+
+      res.json({ success: true, count: campaigns.length, campaigns });
+    } catch (error) {
+      console.error('Error fetching campaigns:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.get('/api/campaigns/:id', async (req, res) => {
+    try {
+      const campaign = await campaignManager.get(parseInt(req.params.id));
+
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      res.json({ success: true, campaign });
+    } catch (error) {
+      console.error('Error fetching campaign:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Recipients and their outcome (?status=failed&limit=100&offset=0)
+  router.get('/api/campaigns/:id/recipients', async (req, res) => {
+    try {
+      const recipients = await campaignManager.recipients(parseInt(req.params.id), {
+        status: req.query.status || null,
+        limit: Math.min(parseInt(req.query.limit) || 100, 1000),
+        offset: parseInt(req.query.offset) || 0
+      });
+
+      res.json({ success: true, count: recipients.length, recipients });
+    } catch (error) {
+      console.error('Error fetching campaign recipients:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Sent, delivered, read, failed and replied totals for a campaign
+  router.get('/api/campaigns/:id/report', async (req, res) => {
+    try {
+      const report = await campaignManager.report(parseInt(req.params.id));
+
+      if (!report) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      res.json({ success: true, ...report });
+    } catch (error) {
+      console.error('Error building campaign report:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Start, pause, resume or cancel a campaign
+  router.post('/api/campaigns/:id/:action(start|pause|resume|cancel)', async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      const existing = await campaignManager.get(id);
+
+      if (!existing) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      const campaign = await campaignManager[CAMPAIGN_ACTIONS[req.params.action]](id);
+
+      if (!campaign) {
+        return res.status(409).json({
+          success: false,
+          error: `Campaign ${id} is ${existing.status} and can't ${req.params.action}`
+        });
+      }
+
+      console.log(`📣 Campaign ${id} ${campaign.status}`);
+      res.json({ success: true, campaign });
+    } catch (error) {
+      console.error('Error updating campaign:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCampaignsRouter };
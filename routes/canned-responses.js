@@ -0,0 +1,172 @@
+// Canned responses. Every endpoint needs an agent key (requireAgent);
+// :ref is an id or a shortcut.
+
+const express = require('express');
+const { renderCannedResponse } = require('../services/canned-responses');
+const { canAccessChat } = require('../middleware/auth');
+
+function rejectInvalidCannedResponse(res, error) {
+  if (error.code === 'CANNED_RESPONSE_INVALID') {
+    res.status(400).json({ success: false, error: error.message, details: error.details });
+    return true;
+  }
+  if (error.code === 'CANNED_RESPONSE_FORBIDDEN') {
+    res.status(403).json({ success: false, error: error.message });
+    return true;
+  }
+  return false;
+}
+
+function createCannedResponsesRouter({ repositories, cannedResponses, sendController }) {
+  const router = express.Router();
+  const { contacts } = repositories;
+
+  // List the responses the agent can use (?search=&category=)
+  router.get('/api/canned-responses', async (req, res) => {
+    try {
+      const responses = await cannedResponses.list(req.agent, {
+        search: req.query.search || req.query.q || null,
+        category: req.query.category || null,
+        limit: Math.min(parseInt(req.query.limit) || 100, 500)
+      });
+      res.json({ success: true, count: responses.length, responses });
+    } catch (error) {
+      console.error('Error fetching canned responses:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.get('/api/canned-responses/categories', async (req, res) => {
+    try {
+      const categories = await cannedResponses.categories(req.agent);
+      res.json({ success: true, categories });
+    } catch (error) {
+      console.error('Error fetching canned response categories:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // { shortcut, content, title, category, visibility: everyone|team|private, team }
+  router.post('/api/canned-responses', async (req, res) => {
+    try {
+      const response = await cannedResponses.create(req.agent, req.body);
+      res.status(201).json({ success: true, response });
+    } catch (error) {
+      if (rejectInvalidCannedResponse(res, error)) return;
+      console.error('Error creating canned response:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.get('/api/canned-responses/:ref', async (req, res) => {
+    try {
+      const response = await cannedResponses.find(req.agent, req.params.ref);
+      if (!response) {
+        return res.status(404).json({ success: false, error: 'Canned response not found' });
+      }
+      res.json({ success: true, response });
+    } catch (error) {
+      console.error('Error fetching canned response:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.patch('/api/canned-responses/:ref', async (req, res) => {
+    try {
+      const response = await cannedResponses.update(req.agent, req.params.ref, req.body);
+      if (!response) {
+        return res.status(404).json({ success: false, error: 'Canned response not found' });
+      }
+      res.json({ success: true, response });
+    } catch (error) {
+      if (rejectInvalidCannedResponse(res, error)) return;
+      console.error('Error updating canned response:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.delete('/api/canned-responses/:ref', async (req, res) => {
+    try {
+      const response = await cannedResponses.remove(req.agent, req.params.ref);
+      if (!response) {
+        return res.status(404).json({ success: false, error: 'Canned response not found' });
+      }
+      res.json({ success: true, response });
+    } catch (error) {
+      if (rejectInvalidCannedResponse(res, error)) return;
+      console.error('Error deleting canned response:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Preview a response for a chat: { to, variables } -> { text, missing }.
+  // Without `to` only {{agent.name}} and the given variables are available.
+  router.post('/api/canned-responses/:ref/render', async (req, res) => {
+    try {
+      const { to, variables = {} } = req.body;
+      const response = await cannedResponses.find(req.agent, req.params.ref);
+      if (!response) {
+        return res.status(404).json({ success: false, error: 'Canned response not found' });
+      }
+
+      const contact = to ? await contacts.findByPhone(to) : null;
+      if (to && !canAccessChat(req.agent, contact)) {
+        return res.status(403).json({ success: false, error: 'Chat is assigned to another agent' });
+      }
+
+      const rendered = renderCannedResponse(response.content, { contact, agent: req.agent, variables });
+      res.json({ success: true, responseId: response.id, ...rendered });
+    } catch (error) {
+      console.error('Error rendering canned response:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Send a response to a chat through the normal send path:
+  // { to, variables, replyTo, send_at }. Refused while a placeholder has no value.
+  router.post('/api/canned-responses/:ref/send', async (req, res) => {
+    try {
+      const { to, variables = {}, replyTo, send_at } = req.body;
+      if (!to) {
+        return res.status(400).json({ success: false, error: 'Missing to field' });
+      }
+
+      const response = await cannedResponses.find(req.agent, req.params.ref);
+      if (!response) {
+        return res.status(404).json({ success: false, error: 'Canned response not found' });
+      }
+
+      const contact = await contacts.findByPhone(to);
+      if (!canAccessChat(req.agent, contact)) {
+        return res.status(403).json({ success: false, error: 'Chat is assigned to another agent' });
+      }
+
+      const { text, missing } = renderCannedResponse(response.content, { contact, agent: req.agent, variables });
+      if (missing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Canned response has placeholders without a value',
+          details: missing.map(path => `{{${path}}} has no value; pass it in variables`)
+        });
+      }
+
+      await sendController.handleSendRequest(res, { to, message: text, replyTo, send_at });
+
+      // Sent, queued or scheduled
+      if (res.statusCode < 300) {
+        await cannedResponses.recordUse(response.id);
+      }
+    } catch (error) {
+      console.error('❌ Canned response send error:', error.body || error.message);
+      if (res.headersSent) return;
+      res.status(500).json({
+        success: false,
+        error: error.body || error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCannedResponsesRouter };
@@ -0,0 +1,364 @@
+// Chats: listing, history, read receipts, typing indicators and scheduled
+// messages, plus the /api/db/chats endpoints that return database rows as-is
+
+const express = require('express');
+const { getServiceWindow } = require('../services/service-window');
+const { parseSendAt } = require('../services/dates');
+const { rejectInvalidSendAt } = require('../controllers/sendController');
+const { canAccessChat } = require('../middleware/auth');
+
+// Scheduled message as returned by the scheduled message endpoints
+function formatScheduledMessage(message, sendAt) {
+  return {
+    id: message.id,
+    text: message.content,
+    messageType: message.message_type_detail || 'text',
+    media: message.media_info,
+    sendAt: sendAt,
+    createdAt: message.created_at
+  };
+}
+
+function createChatsRouter({ repositories, io, memoryChats, settings, sendController }) {
+  const router = express.Router();
+  const { contacts, chats, messages } = repositories;
+  const { outboundQueue, sendReadReceipt } = sendController;
+
+  // Refuse agents a chat assigned to someone else (answers 403 itself).
+  // Returns true when the request was rejected.
+  async function rejectInaccessibleChat(req, res, phoneNumber) {
+    if (canAccessChat(req.agent, await contacts.findByPhone(phoneNumber))) return false;
+
+    res.status(403).json({ success: false, error: 'Chat is assigned to another agent' });
+    return true;
+  }
+
+  // Load a chat's scheduled message for editing; answers 404 itself when missing
+  async function findScheduledMessage(req, res) {
+    const id = parseInt(req.params.id);
+    const message = Number.isInteger(id) ? await messages.findById(id) : null;
+
+    if (!message || message.phone_number !== req.params.number || message.status !== 'scheduled') {
+      res.status(404).json({
+        success: false,
+        error: 'Scheduled message not found'
+      });
+      return null;
+    }
+    return message;
+  }
+
+  // API: Get all chats (from database)
+  router.get('/api/chats', async (req, res) => {
+    try {
+      memoryChats.cleanup();
+
+      // Try to get from database first
+      const dbChats = await chats.list();
+
+      if (dbChats.length > 0) {
+        // Convert to frontend format
+        const formattedChats = dbChats.map(chat => ({
+          id: chat.id,
+          number: chat.phone_number,
+          name: chat.contact_name || `+${chat.phone_number}`,
+          messages: [], // Messages loaded separately
+          unread: chat.unread_count || 0,
+          lastMessage: chat.last_message,
+          lastMessageAt: chat.last_message_at,
+          serviceWindow: getServiceWindow(chat),
+          contactInfo: {
+            name: chat.contact_name,
+            status: chat.contact_status,
+            email: chat.contact_email
+          }
+        }));
+
+        res.json(formattedChats);
+      } else {
+        // Fallback to memory chats
+        res.json(memoryChats.list());
+      }
+
+    } catch (error) {
+      console.error('Error getting chats:', error);
+      // Fallback to memory chats on error
+      res.json(memoryChats.list());
+    }
+  });
+
+  // API: Get messages of specific chat (from database)
+  // Opening a chat, marking it read and typing are for agents only (see requireAgent).
+  router.get('/api/chats/:number/messages', async (req, res) => {
+    const number = req.params.number;
+
+    try {
+      if (await rejectInaccessibleChat(req, res, number)) return;
+
+      // Try to get from database
+      await chats.markRead(number);
+
+      // Opening the chat shows the customer blue ticks; don't hold up the response
+      sendReadReceipt(number).catch(error => {
+        console.error(`Error sending read receipt to ${number}:`, error.body || error.message);
+      });
+      const chatMessages = await messages.listForChat(number);
+
+      if (chatMessages.length > 0) {
+        res.json(chatMessages.map(msg => ({
+          id: msg.id,
+          text: msg.content,
+          timestamp: msg.timestamp,
+          type: msg.message_type,
+          messageType: msg.message_type_detail || 'text',
+          payload: msg.payload,
+          media: msg.media_info,
+          from: msg.message_type === 'received' ? number : 'me',
+          replyTo: msg.reply_to_message_id || msg.context_whatsapp_message_id
+            ? {
+              id: msg.reply_to_message_id,
+              whatsappMessageId: msg.quoted_whatsapp_message_id || msg.context_whatsapp_message_id,
+              text: msg.quoted_content,
+              type: msg.quoted_message_type,
+              messageType: msg.quoted_message_type_detail
+            }
+            : null,
+          status: msg.status,
+          scheduledFor: msg.scheduled_for || null,
+          error: msg.error_code ? { code: msg.error_code, title: msg.error_title } : null
+        })));
+      } else {
+        // Fallback to memory
+        res.json(memoryChats.open(number));
+      }
+
+    } catch (error) {
+      console.error('Error getting messages:', error);
+      // Fallback to memory
+      res.json(memoryChats.open(number));
+    }
+  });
+
+  // API: Mark a chat read, here and on WhatsApp (blue ticks)
+  router.post('/api/chats/:number/read', async (req, res) => {
+    try {
+      if (await rejectInaccessibleChat(req, res, req.params.number)) return;
+
+      await chats.markRead(req.params.number);
+      const marked = await sendReadReceipt(req.params.number);
+
+      res.json({
+        success: true,
+        readReceipts: await settings.get('read_receipts'),
+        messageId: marked?.id || null,
+        whatsappMessageId: marked?.whatsapp_message_id || null
+      });
+    } catch (error) {
+      console.error('❌ Read receipt error:', error.body || error.message);
+      res.status(500).json({
+        success: false,
+        error: error.body || error.message
+      });
+    }
+  });
+
+  // API: Show the customer a typing indicator (also marks their messages read)
+  router.post('/api/chats/:number/typing', async (req, res) => {
+    try {
+      if (await rejectInaccessibleChat(req, res, req.params.number)) return;
+
+      if (!await settings.get('read_receipts')) {
+        return res.status(409).json({
+          success: false,
+          error: 'Typing indicators need read receipts, which are turned off (read_receipts setting)'
+        });
+      }
+
+      if (!await messages.findLatestReceived(req.params.number)) {
+        return res.status(404).json({
+          success: false,
+          error: 'No received message to show the typing indicator on'
+        });
+      }
+
+      await sendController.sendTypingIndicator(req.params.number);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('❌ Typing indicator error:', error.body || error.message);
+      res.status(500).json({
+        success: false,
+        error: error.body || error.message
+      });
+    }
+  });
+
+  // API: List a chat's scheduled messages that haven't been sent yet
+  // The scheduled message endpoints are for agents only (see requireAgent).
+  router.get('/api/chats/:number/scheduled', async (req, res) => {
+    try {
+      if (await rejectInaccessibleChat(req, res, req.params.number)) return;
+
+      const scheduled = await messages.listScheduled(req.params.number);
+      res.json({
+        success: true,
+        count: scheduled.length,
+        scheduled: scheduled.map(message => formatScheduledMessage(message, message.send_at))
+      });
+    } catch (error) {
+      console.error('Error fetching scheduled messages:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // API: Change a scheduled message's send time or text
+  // Body: { send_at, message } (either or both; only text messages can be reworded)
+  router.patch('/api/chats/:number/scheduled/:id', async (req, res) => {
+    try {
+      if (await rejectInaccessibleChat(req, res, req.params.number)) return;
+
+      const { message } = req.body;
+
+      if (req.body.send_at === undefined && message === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Nothing to change: provide send_at and/or message'
+        });
+      }
+
+      const scheduled = await findScheduledMessage(req, res);
+      if (!scheduled) return;
+
+      const sendAt = parseSendAt(req.body.send_at);
+      if (sendAt === null) {
+        return rejectInvalidSendAt(res);
+      }
+
+      const isText = !scheduled.message_type_detail || scheduled.message_type_detail === 'text';
+      if (message !== undefined && (!isText || !message)) {
+        return res.status(400).json({
+          success: false,
+          error: isText ? 'message cannot be empty' : 'Only the text of scheduled text messages can be changed'
+        });
+      }
+
+      if (await sendController.rejectOptedOut(res, req.params.number)) {
+        return;
+      }
+
+      // Templates can go out at any time; free-form messages need the window open
+      if (scheduled.message_type_detail !== 'template' &&
+          await sendController.rejectOutsideServiceWindow(res, req.params.number, sendAt || new Date(scheduled.timestamp))) {
+        return;
+      }
+
+      const payload = message !== undefined
+        ? {
+          to: req.params.number,
+          ...(scheduled.context_whatsapp_message_id && { context: { message_id: scheduled.context_whatsapp_message_id } }),
+          type: 'text',
+          text: {
+            preview_url: false,
+            body: message
+          }
+        }
+        : null;
+
+      const outbound = await outboundQueue.reschedule(scheduled.id, {
+        delayMs: sendAt ? Math.max(sendAt.getTime() - Date.now(), 0) : null,
+        payload
+      });
+
+      if (!outbound) {
+        return res.status(409).json({
+          success: false,
+          error: 'Message is already being sent'
+        });
+      }
+
+      const updated = await messages.updateScheduled(scheduled.id, {
+        content: message,
+        timestamp: sendAt
+      });
+
+      res.json({
+        success: true,
+        scheduled: formatScheduledMessage(updated || scheduled, outbound.send_at)
+      });
+    } catch (error) {
+      console.error('Error updating scheduled message:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // API: Cancel a scheduled message
+  router.delete('/api/chats/:number/scheduled/:id', async (req, res) => {
+    try {
+      if (await rejectInaccessibleChat(req, res, req.params.number)) return;
+
+      const scheduled = await findScheduledMessage(req, res);
+      if (!scheduled) return;
+
+      const outbound = await outboundQueue.cancel(scheduled.id);
+      if (!outbound) {
+        return res.status(409).json({
+          success: false,
+          error: 'Message is already being sent'
+        });
+      }
+
+      await messages.updateScheduled(scheduled.id, { status: 'cancelled' });
+
+      io.emit('message_status', {
+        messageId: scheduled.id,
+        whatsappMessageId: null,
+        to: req.params.number,
+        status: 'cancelled',
+        timestamp: new Date(),
+        error: null
+      });
+
+      res.json({ success: true, message: 'Scheduled message cancelled' });
+    } catch (error) {
+      console.error('Error cancelling scheduled message:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get all chats from database (direct endpoint)
+  router.get('/api/db/chats', async (req, res) => {
+    try {
+      res.json(await chats.list());
+    } catch (error) {
+      console.error('Error fetching chats:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Get chat messages from database (direct endpoint)
+  router.get('/api/db/chats/:phone/messages', async (req, res) => {
+    try {
+      const phone = req.params.phone;
+      if (await rejectInaccessibleChat(req, res, phone)) return;
+
+      // Mark as read, here and on WhatsApp
+      await chats.markRead(phone);
+      sendReadReceipt(phone).catch(error => {
+        console.error(`Error sending read receipt to ${phone}:`, error.body || error.message);
+      });
+
+      res.json({
+        messages: await messages.listForChat(phone),
+        contact: await contacts.findByPhone(phone),
+        unreadCount: 0
+      });
+
+    } catch (error) {
+      console.error('Error fetching messages:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createChatsRouter };
@@ -0,0 +1,118 @@
+// Contacts and their consent
+
+const express = require('express');
+const { UPDATABLE_CONTACT_FIELDS } = require('../repositories');
+
+// Problems with a contact update body, one message per bad field
+function validateContactUpdate(updates) {
+  const errors = [];
+
+  for (const [field, value] of Object.entries(updates)) {
+    if (!UPDATABLE_CONTACT_FIELDS.includes(field)) {
+      errors.push(`${field} can't be updated`);
+    } else if (field === 'tags') {
+      if (!Array.isArray(value) || value.some(tag => typeof tag !== 'string')) {
+        errors.push('tags must be an array of strings');
+      }
+    } else if (field === 'attributes') {
+      // Custom attributes replace the stored ones: { plan: 'gold', city: 'Lima' }
+      if (!value || typeof value !== 'object' || Array.isArray(value) ||
+          Object.values(value).some(item => item !== null && typeof item === 'object')) {
+        errors.push('attributes must be an object of plain values');
+      }
+    } else if (value !== null && typeof value !== 'string') {
+      errors.push(`${field} must be a string or null`);
+    }
+  }
+
+  return errors;
+}
+
+function createContactsRouter({ repositories, consentRegistry, messageController }) {
+  const router = express.Router();
+  const { contacts } = repositories;
+
+  // Get all contacts from database
+  router.get('/api/db/contacts', async (req, res) => {
+    try {
+      res.json(await contacts.list());
+    } catch (error) {
+      console.error('Error fetching contacts:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Update contact: name, email, tags, notes, assigned_to, status, attributes.
+  // opted_out: true/false records a consent change made by the agent.
+  // Agents only (see requireAgent).
+  router.put('/api/db/contacts/:id', async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      const { opted_out, ...updates } = req.body;
+
+      if (opted_out !== undefined && typeof opted_out !== 'boolean') {
+        return res.status(400).json({ error: 'opted_out must be true or false' });
+      }
+
+      const errors = validateContactUpdate(updates);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid contact update',
+          details: errors
+        });
+      }
+
+      let updated = Object.keys(updates).length > 0
+        ? await contacts.update(id, updates)
+        : await contacts.findById(id);
+
+      if (!updated) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+
+      if (opted_out !== undefined) {
+        const changedBy = req.agent.name;
+        const changed = await consentRegistry.record(id, {
+          status: opted_out ? 'opted_out' : 'opted_in',
+          source: 'agent',
+          changedBy
+        });
+
+        if (changed) {
+          updated = changed;
+          await messageController.notifyConsentChange(changed, { source: 'agent', changedBy });
+        }
+      }
+
+      res.json({ success: true, contact: updated });
+    } catch (error) {
+      console.error('Error updating contact:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Consent history of a contact, newest first (agents only)
+  router.get('/api/db/contacts/:id/consent', async (req, res) => {
+    try {
+      const contact = await contacts.findById(parseInt(req.params.id));
+      if (!contact) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+
+      res.json({
+        success: true,
+        optedOut: contact.opted_out,
+        updatedAt: contact.consent_updated_at,
+        source: contact.consent_source,
+        history: await consentRegistry.history(contact.id)
+      });
+    } catch (error) {
+      console.error('Error fetching contact consent:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createContactsRouter };
@@ -0,0 +1,158 @@
+// Stored media files: signed URLs and streaming
+
+const express = require('express');
+const { resolveMediaLocation, createSignedMediaPath, verifyMediaSignature, isMediaUrlSigningConfigured } = require('../services/storage');
+const { resolveAgent, canAccessChat } = require('../middleware/auth');
+
+// Lifetime of signed media URLs, in seconds
+const MEDIA_URL_TTL = parseInt(process.env.MEDIA_URL_TTL) || 15 * 60;
+
+function createMediaRouter({ repositories }) {
+  const router = express.Router();
+  const { contacts, media: mediaFiles } = repositories;
+
+  // Load a stored media file the requesting agent is allowed to see.
+  // Sends the error response and returns null otherwise.
+  async function loadAuthorizedMedia(req, res, { allowSignature = false } = {}) {
+    const id = parseInt(req.params.id);
+    const signed = allowSignature &&
+      verifyMediaSignature(id, req.query.expires, req.query.signature);
+    const agent = signed ? null : resolveAgent(req);
+
+    if (!signed && !agent) {
+      res.status(401).json({ success: false, error: 'Authentication required' });
+      return null;
+    }
+
+    const media = isNaN(id) ? null : await mediaFiles.findById(id);
+
+    if (!media || media.download_status !== 'downloaded' || !(media.storage_key || media.file_path)) {
+      res.status(404).json({ error: 'Media not found' });
+      return null;
+    }
+
+    // A valid signature was issued to someone who passed this check already
+    if (!signed && (!media.phone_number ||
+        !canAccessChat(agent, await contacts.findByPhone(media.phone_number)))) {
+      res.status(403).json({ error: 'Not allowed to view this chat' });
+      return null;
+    }
+
+    return media;
+  }
+
+  // Get an expiring download URL for a media file (presigned by the storage
+  // backend when it can, otherwise a signed /api/media URL)
+  router.get('/api/media/:id/url', async (req, res) => {
+    try {
+      const media = await loadAuthorizedMedia(req, res);
+      if (!media) return;
+
+      const expiresIn = Math.min(parseInt(req.query.expiresIn) || MEDIA_URL_TTL, 7 * 24 * 60 * 60);
+      const { storage, key } = resolveMediaLocation(media);
+
+      const presigned = await storage.getSignedUrl(key, {
+        expiresIn,
+        fileName: media.original_name || media.file_name,
+        contentType: media.mime_type,
+        disposition: req.query.download ? 'attachment' : 'inline'
+      });
+
+      // Local files need a signed /api/media URL, which needs the secret
+      if (!presigned && !isMediaUrlSigningConfigured()) {
+        return res.status(503).json({
+          success: false,
+          error: 'Signed media URLs are not available: MEDIA_URL_SECRET is not configured'
+        });
+      }
+
+      const url = presigned || createSignedMediaPath(media.id, expiresIn);
+
+      res.json({
+        success: true,
+        url,
+        expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString()
+      });
+    } catch (error) {
+      console.error('Error creating media URL:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Stream a stored media file (supports Range requests for seeking)
+  router.get('/api/media/:id', async (req, res) => {
+    try {
+      const media = await loadAuthorizedMedia(req, res, { allowSignature: true });
+      if (!media) return;
+
+      const { storage, key } = resolveMediaLocation(media);
+      const stats = await storage.stat(key);
+
+      if (!stats) {
+        console.error(`Media file missing from ${storage.name} storage: ${key}`);
+        return res.status(404).json({ error: 'Media not found' });
+      }
+
+      // Stored files never change, so they can be cached for a long time
+      const lastModified = new Date(stats.lastModified);
+      const etag = `"${media.sha256 || `${media.id}-${stats.size}-${lastModified.getTime()}`}"`;
+      const fileName = media.original_name || media.file_name;
+      const disposition = req.query.download ? 'attachment' : 'inline';
+
+      res.set({
+        'Content-Type': media.mime_type || 'application/octet-stream',
+        'Content-Disposition': `${disposition}; filename="${fileName.replace(/[^\x20-\x7e]|"/g, '_')}"; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+        'Accept-Ranges': 'bytes',
+        'ETag': etag,
+        'Last-Modified': lastModified.toUTCString(),
+        'Cache-Control': 'private, max-age=86400'
+      });
+
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      let start = 0;
+      let end = stats.size - 1;
+
+      // Only honour a single range, and only if the file hasn't changed (If-Range)
+      const ifRange = req.headers['if-range'];
+      if (req.headers.range && (!ifRange || ifRange === etag)) {
+        const ranges = req.range(stats.size, { combine: true });
+
+        if (ranges === -1) {
+          res.set('Content-Range', `bytes */${stats.size}`);
+          return res.status(416).end();
+        }
+
+        if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+          start = ranges[0].start;
+          end = ranges[0].end;
+          res.status(206);
+          res.set('Content-Range', `bytes ${start}-${end}/${stats.size}`);
+        }
+      }
+
+      res.set('Content-Length', String(end - start + 1));
+
+      if (req.method === 'HEAD') {
+        return res.end();
+      }
+
+      const stream = await storage.createReadStream(key, { start, end });
+      stream.on('error', error => {
+        console.error('Media stream error:', error);
+        res.destroy(error);
+      });
+      stream.pipe(res);
+
+    } catch (error) {
+      console.error('Error serving media:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createMediaRouter };
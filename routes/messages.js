@@ -1,59 +1,57 @@
-// n8n से messages receive करने के लिए नया endpoint
+// Sending messages from the dashboard
 
 const express = require('express');
-const router = express.Router();
-router.post('/api/n8n-messages', async (req, res) => {
-  try {
-    console.log('Received message from n8n:', req.body);
-    
-    const { message, from, to, timestamp, messageId, direction = 'outgoing' } = req.body;
-    
-    // Format को Meta webhook format में convert करें
-    const metaFormat = {
-      object: 'whatsapp_business_account',
-      entry: [{
-        id: 'n8n-entry',
-        changes: [{
-          value: {
-            messaging_product: 'whatsapp',
-            metadata: {
-              display_phone_number: to || from,
-              phone_number_id: process.env.PHONE_NUMBER_ID || 'n8n-phone-id'
-            },
-            contacts: [{
-              profile: {
-                name: 'User'
-              },
-              wa_id: from
-            }],
-            messages: [{
-              from: from,
-              id: messageId || `n8n-${Date.now()}`,
-              timestamp: timestamp || Math.floor(Date.now() / 1000),
-              type: 'text',
-              text: {
-                body: message
-              }
-            }]
-          },
-          field: 'messages'
-        }]
-      }]
-    };
-    
-    // आपके existing processWebhook function को call करें
-    await processWebhook(metaFormat);
-    
-    res.status(200).json({ 
-      success: true, 
-      message: 'Message processed successfully' 
-    });
-    
-  } catch (error) {
-    console.error('Error processing n8n message:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
-  }
+const multer = require('multer');
+const { MEDIA_LIMITS } = require('../services/media-limits');
+const { canAccessChat } = require('../middleware/auth');
+
+// Uploaded files are kept in memory; the largest WhatsApp media (documents) is 100MB
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MEDIA_LIMITS.document.maxSize, files: 1 }
 });
+
+// Accept an optional `file` field and turn multer errors into 400s
+const uploadSendFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    next();
+  });
+};
+
+function createMessagesRouter({ repositories, sendController }) {
+  const router = express.Router();
+  const { contacts } = repositories;
+
+  // API: Send message
+  // JSON: { to, message, replyTo } for text, or { to, type, mediaUrl, caption, filename, replyTo }
+  // to send media by public link. Multipart: the same fields plus a `file` upload.
+  // Interactive menus (JSON): { to, type: 'button', message, buttons, header, footer }
+  // or { to, type: 'list', message, button, sections, header, footer }; message is the body.
+  // Optional send_at (ISO date) schedules the message instead of sending it now.
+  // Agents only (see requireAgent), and only to chats they may access.
+  router.post('/api/send', uploadSendFile, async (req, res) => {
+    try {
+      if (req.body.to && !canAccessChat(req.agent, await contacts.findByPhone(req.body.to))) {
+        return res.status(403).json({ success: false, error: 'Chat is assigned to another agent' });
+      }
+
+      await sendController.handleSendRequest(res, req.body, req.file);
+    } catch (error) {
+      console.error('❌ Send message error:', error.body || error.message);
+      res.status(500).json({
+        success: false,
+        error: error.body || error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createMessagesRouter };
@@ -0,0 +1,232 @@
+// n8n integration (credentials are checked by verifyN8nApiKey)
+
+const express = require('express');
+const { parseSendAt } = require('../services/dates');
+const { rejectInvalidSendAt, sendOutboundResult } = require('../controllers/sendController');
+
+function sendN8nDuplicate(res, messageId) {
+  console.log(`♻️ Duplicate n8n message ignored: ${messageId}`);
+  return res.status(200).json({
+    success: true,
+    duplicate: true,
+    timestamp: new Date().toISOString(),
+    message: 'Message already saved'
+  });
+}
+
+function createN8nRouter({ repositories, io, memoryChats, messageController, sendController }) {
+  const router = express.Router();
+  const { contacts, chats, messages } = repositories;
+
+  // Endpoint to receive messages from n8n (OUTGOING MESSAGES)
+  // mode 'record' (default) stores a message n8n already sent through Graph;
+  // mode 'dispatch' has this server send it, so workflows need no access token
+  router.post('/api/n8n/messages', async (req, res) => {
+    try {
+      console.log('📩 Received message from n8n:', req.body);
+
+      const {
+        to,          // Recipient phone number
+        message,     // Message content
+        timestamp = new Date().toISOString(),
+        messageId,
+        contactName,
+        direction = 'outgoing',
+        source = 'n8n',
+        type = 'text',  // 'template' when n8n sent an approved template itself
+        send_at,        // Optional: have this server send the text later
+        mode = 'record' // 'dispatch': send it through our WhatsApp client instead
+      } = req.body;
+
+      if (!['record', 'dispatch'].includes(mode)) {
+        return res.status(400).json({
+          success: false,
+          error: 'mode must be record or dispatch'
+        });
+      }
+
+      // Dispatch: sent exactly like /api/send (text, media, button, list) or the
+      // template endpoint ({ type: 'template', template: name, language, header,
+      // body, buttons }), answering with the Graph result and the real wamid
+      if (mode === 'dispatch') {
+        console.log(`📤 Dispatching n8n ${type} message to ${to}`);
+
+        if (type !== 'template') {
+          return await sendController.handleSendRequest(res, req.body);
+        }
+
+        if (!req.body.template) {
+          return res.status(400).json({
+            success: false,
+            error: 'Missing template field'
+          });
+        }
+        return await sendController.handleTemplateSendRequest(res, req.body.template, req.body);
+      }
+
+      // Validate required fields
+      if (!to || !message) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required fields: to and message'
+        });
+      }
+
+      console.log(`📤 Processing n8n message to ${to}: ${message.substring(0, 50)}...`);
+
+      // Same messageId sent twice - already recorded
+      if (messageId && await messages.findByWhatsAppId(messageId)) {
+        return sendN8nDuplicate(res, messageId);
+      }
+
+      const sendAt = parseSendAt(send_at);
+      if (sendAt === null) {
+        return rejectInvalidSendAt(res);
+      }
+
+      if (sendAt && type === 'template') {
+        return res.status(400).json({
+          success: false,
+          error: 'Schedule templates with POST /api/templates/:name/send and send_at'
+        });
+      }
+
+      // Nothing goes to contacts who opted out, whoever sent it
+      if (await sendController.rejectOptedOut(res, to)) {
+        return;
+      }
+
+      // Free-form messages need an open customer service window
+      if (type !== 'template' && await sendController.rejectOutsideServiceWindow(res, to, sendAt)) {
+        return;
+      }
+
+      // Scheduled: stored now, sent by the outbound queue at send_at
+      if (sendAt) {
+        const result = await sendController.sendWhatsAppMessage(to, {
+          type: 'text',
+          text: {
+            preview_url: false,
+            body: message
+          }
+        }, { sendAt });
+
+        console.log(`⏰ n8n message to ${to} scheduled for ${sendAt.toISOString()}`);
+        return sendOutboundResult(res, result, {});
+      }
+
+      // Save to database as outgoing message
+      const contact = await contacts.findOrCreate(to, contactName);
+      const chat = await chats.findOrCreate(contact.id, to);
+
+      const savedMessage = await messages.add(chat.id, contact.id, {
+        type: 'sent',
+        content: message,
+        // Without a wamid there is nothing to deduplicate on (NULLs never conflict)
+        whatsappMessageId: messageId || null,
+        timestamp: new Date(timestamp),
+        status: 'sent'
+      });
+
+      if (!savedMessage) {
+        return sendN8nDuplicate(res, messageId);
+      }
+
+      // Also store in memory for backward compatibility
+      memoryChats.add(to, {
+        id: messageId || `n8n-${savedMessage.id}`,
+        text: message,
+        timestamp: new Date(timestamp),
+        type: 'sent',
+        from: 'me'
+      }, { name: contactName });
+
+      // Notify connected clients via Socket.IO
+      io.emit('new_message', {
+        from: to,
+        message: message,
+        timestamp: new Date(timestamp),
+        contactName: contact.name,
+        messageId: savedMessage.id,
+        source: 'n8n',
+        direction: 'outgoing'
+      });
+
+      console.log(`✅ n8n message saved to database for ${to}`);
+
+      res.status(200).json({
+        success: true,
+        messageId: savedMessage.id,
+        databaseId: savedMessage.id,
+        timestamp: new Date().toISOString(),
+        message: 'Message saved to database successfully'
+      });
+
+    } catch (error) {
+      console.error('❌ Error processing n8n message:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Simulate incoming message from n8n (for testing)
+  // Authenticated with the n8n credentials instead of a Meta signature, since
+  // it feeds processIncomingMessage directly without going through /webhook
+  router.post('/api/n8n/simulate-incoming', async (req, res) => {
+    try {
+      const { from, message, messageId } = req.body;
+
+      if (!from || !message) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing from or message'
+        });
+      }
+
+      // Create fake WhatsApp message (pass messageId to replay the same message)
+      const fakeMessage = {
+        from: from,
+        text: { body: message },
+        id: messageId || `sim-${Date.now()}`,
+        timestamp: Math.floor(Date.now() / 1000)
+      };
+
+      // Process as incoming message
+      const saved = await messageController.processIncomingMessage(fakeMessage);
+
+      res.status(200).json({
+        success: true,
+        duplicate: !saved,
+        message: saved ? 'Simulated incoming message processed' : 'Duplicate message ignored'
+      });
+
+    } catch (error) {
+      console.error('Error simulating message:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Get n8n integration status
+  router.get('/api/n8n/status', (req, res) => {
+    res.json({
+      n8nIntegration: true,
+      webhookUrl: process.env.N8N_WEBHOOK_URL || 'Not set',
+      apiKeyConfigured: !!process.env.N8N_API_KEY,
+      endpoints: {
+        receiveMessages: 'POST /api/n8n/messages',
+        simulateIncoming: 'POST /api/n8n/simulate-incoming',
+        status: 'GET /api/n8n/status'
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createN8nRouter };
@@ -0,0 +1,49 @@
+// Approved WhatsApp templates
+
+const express = require('express');
+const { canAccessChat } = require('../middleware/auth');
+
+function createTemplatesRouter({ repositories, templateRegistry, sendController }) {
+  const router = express.Router();
+  const { contacts } = repositories;
+
+  // List synced templates (?status=APPROVED&name=...)
+  router.get('/api/templates', async (req, res) => {
+    try {
+      const templates = await templateRegistry.list({
+        status: req.query.status,
+        name: req.query.name
+      });
+      res.json({ success: true, count: templates.length, templates });
+    } catch (error) {
+      console.error('Error fetching templates:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Send an approved template
+  // Body: { to, language, header, body, buttons, send_at }
+  //   header:  text parameter(s), or { link } / { id } for media headers
+  //   body:    ['value for {{1}}', ...] or { name: value } for named parameters
+  //   buttons: one entry per template button, e.g. URL suffix or quick reply payload
+  // Agents only (see requireAgent), and only to chats they may access.
+  router.post('/api/templates/:name/send', async (req, res) => {
+    try {
+      if (req.body.to && !canAccessChat(req.agent, await contacts.findByPhone(req.body.to))) {
+        return res.status(403).json({ success: false, error: 'Chat is assigned to another agent' });
+      }
+
+      await sendController.handleTemplateSendRequest(res, req.params.name, req.body);
+    } catch (error) {
+      console.error('❌ Send template error:', error.body || error.message);
+      res.status(500).json({
+        success: false,
+        error: error.body || error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createTemplatesRouter };
@@ -0,0 +1,56 @@
+// Meta webhook: subscription check and incoming events
+
+const express = require('express');
+const { verifyWebhookSignature } = require('../middleware/auth');
+
+function createWebhookRouter({ webhookInbox }) {
+  const router = express.Router();
+
+  // Webhook verification
+  router.get('/webhook', (req, res) => {
+    const verify_token = process.env.VERIFY_TOKEN;
+
+    const mode = req.query['hub.mode'];
+    const token = req.query['hub.verify_token'];
+    const challenge = req.query['hub.challenge'];
+
+    if (mode && token) {
+      if (mode === 'subscribe' && token === verify_token) {
+        console.log('✅ Webhook verified successfully');
+        res.status(200).send(challenge);
+      } else {
+        console.log('❌ Webhook verification failed');
+        res.sendStatus(403);
+      }
+    } else {
+      res.sendStatus(400);
+    }
+  });
+
+  // Receive messages from WhatsApp
+  router.post('/webhook', verifyWebhookSignature, async (req, res) => {
+    console.log('📩 Received webhook from WhatsApp');
+
+    const body = req.body;
+
+    if (body.object !== 'whatsapp_business_account') {
+      return res.sendStatus(404);
+    }
+
+    try {
+      // Store the raw payload first and acknowledge right away so Meta
+      // doesn't time out; the webhook worker processes it in the background
+      const event = await webhookInbox.enqueue(body);
+      console.log(`📥 Webhook stored as event ${event.id}`);
+      res.status(200).send('EVENT_RECEIVED');
+    } catch (error) {
+      // Not stored - let Meta redeliver it
+      console.error('❌ Failed to store webhook event:', error);
+      res.sendStatus(500);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createWebhookRouter };
@@ -0,0 +1,103 @@
+// Move stored media_files between storage backends.
+//
+// Usage:
+//   node scripts/migrate-media.js --to s3 [--from local] [--batch 50] [--limit 1000]
+//                                 [--delete-source] [--dry-run]
+//
+// Files are copied first and the row is only switched over once the copy is
+// stored, so an interrupted run can simply be started again.
+
+const path = require('path');
+const { pool, repositories } = require('../database');
+const { getStorage, resolveMediaLocation } = require('../services/storage');
+
+function parseArgs(argv) {
+  const args = { batch: 50, limit: Infinity, deleteSource: false, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--to': args.to = argv[++i]; break;
+      case '--from': args.from = argv[++i]; break;
+      case '--batch': args.batch = parseInt(argv[++i]); break;
+      case '--limit': args.limit = parseInt(argv[++i]); break;
+      case '--delete-source': args.deleteSource = true; break;
+      case '--dry-run': args.dryRun = true; break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  if (!args.to) throw new Error('--to <local|s3> is required');
+  return args;
+}
+
+async function migrateMedia(args) {
+  const target = getStorage(args.to);
+  const summary = { moved: 0, failed: 0 };
+  let lastId = 0;
+
+  while (summary.moved + summary.failed < args.limit) {
+    const result = await pool.query(
+      `SELECT * FROM media_files
+       WHERE download_status = 'downloaded'
+         AND COALESCE(storage_driver, 'local') <> $1
+         AND ($2::text IS NULL OR COALESCE(storage_driver, 'local') = $2)
+         AND id > $3
+       ORDER BY id
+       LIMIT $4`,
+      [target.name, args.from || null, lastId, args.batch]
+    );
+
+    if (result.rows.length === 0) break;
+
+    for (const media of result.rows) {
+      lastId = media.id;
+
+      try {
+        const { storage: source, key: sourceKey } = resolveMediaLocation(media);
+        // Rows from before storage drivers only have a file_path
+        const key = media.storage_key || `${media.file_type}s/${path.basename(media.file_path)}`;
+
+        if (args.dryRun) {
+          console.log(`[dry run] ${media.id}: ${source.name}:${sourceKey} -> ${target.name}:${key}`);
+          summary.moved++;
+          continue;
+        }
+
+        const data = await source.read(sourceKey);
+        const stored = await target.put(key, data, { contentType: media.mime_type });
+        await repositories.media.updateLocation(media.id, target.name, key, stored.location);
+
+        if (args.deleteSource) {
+          await source.delete(sourceKey);
+        }
+
+        console.log(`✅ ${media.id}: ${source.name}:${sourceKey} -> ${target.name}:${key}`);
+        summary.moved++;
+      } catch (error) {
+        console.error(`❌ ${media.id}: ${error.message}`);
+        summary.failed++;
+      }
+    }
+  }
+
+  return summary;
+}
+
+if (require.main === module) {
+  (async () => {
+    try {
+      const args = parseArgs(process.argv.slice(2));
+      const summary = await migrateMedia(args);
+      console.log(`📦 Media migration finished: ${summary.moved} moved, ${summary.failed} failed`);
+      process.exitCode = summary.failed > 0 ? 1 : 0;
+    } catch (error) {
+      console.error('❌ Media migration error:', error.message);
+      process.exitCode = 1;
+    } finally {
+      await pool.end();
+    }
+  })();
+}
+
+module.exports = { migrateMedia };
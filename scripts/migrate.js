@@ -0,0 +1,116 @@
+// Apply, roll back or inspect schema migrations.
+//
+// Usage:
+//   node scripts/migrate.js up [--to <version>]
+//   node scripts/migrate.js down [--steps 1] [--to <version>] [--force]
+//                                              --force also runs down sections
+//                                              marked destructive
+//   node scripts/migrate.js status
+//   node scripts/migrate.js check              exits with 1 unless up to date
+//   node scripts/migrate.js create <name>      adds an empty migration file
+//
+// The server applies pending migrations on start unless MIGRATE_ON_START=false.
+
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('../database');
+const { MIGRATIONS_DIR, formatMigration, loadMigrations, createMigrator } = require('../services/migrations');
+
+function parseArgs(argv) {
+  const args = { command: argv[0], steps: 1, to: null, force: false, name: null };
+
+  for (let i = 1; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--to': args.to = parseInt(argv[++i]); break;
+      case '--steps': args.steps = parseInt(argv[++i]); break;
+      case '--force': args.force = true; break;
+      default:
+        if (args.command === 'create' && !args.name) {
+          args.name = argv[i];
+          break;
+        }
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  if (!['up', 'down', 'status', 'check', 'create'].includes(args.command)) {
+    throw new Error('Command must be one of: up, down, status, check, create');
+  }
+  if (Number.isNaN(args.to) || Number.isNaN(args.steps) || args.steps < 1) {
+    throw new Error('--to and --steps take a number');
+  }
+  if (args.command === 'create' && !/^[\w-]+$/.test(args.name || '')) {
+    throw new Error('create needs a name made of letters, digits, dashes or underscores');
+  }
+  return args;
+}
+
+function createMigrationFile(name) {
+  const migrations = loadMigrations();
+  const version = (migrations.length > 0 ? migrations[migrations.length - 1].version : 0) + 1;
+  const fileName = `${formatMigration(version, name)}.sql`;
+
+  fs.writeFileSync(
+    path.join(MIGRATIONS_DIR, fileName),
+    `-- ${name.replace(/[_-]/g, ' ')}\n\n-- migrate:up\n\n-- migrate:down\n`
+  );
+  return fileName;
+}
+
+async function run(args) {
+  if (args.command === 'create') {
+    console.log(`📝 Created migrations/${createMigrationFile(args.name)}`);
+    return 0;
+  }
+
+  const migrator = createMigrator({ pool });
+
+  switch (args.command) {
+    case 'up': {
+      const applied = await migrator.up({ to: args.to });
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+      return 0;
+    }
+
+    case 'down': {
+      const reverted = await migrator.down({ steps: args.steps, to: args.to, force: args.force });
+      console.log(`✅ Reverted ${reverted.length} migration(s)`);
+      return 0;
+    }
+
+    case 'status': {
+      for (const row of await migrator.status()) {
+        const appliedAt = row.appliedAt ? new Date(row.appliedAt).toISOString() : '';
+        console.log(`${row.state.padEnd(12)}  ${formatMigration(row.version, row.name)}  ${appliedAt}`);
+      }
+      return 0;
+    }
+
+    case 'check': {
+      const { pending, changed, unknown } = await migrator.check();
+      pending.forEach(migration => console.log(`⏳ Pending: ${migration.fileName}`));
+      changed.forEach(row => console.log(`❌ Changed after it ran: ${formatMigration(row.version, row.name)}`));
+      unknown.forEach(row => console.log(`⚠️ Applied but no file: ${formatMigration(row.version, row.name)}`));
+
+      const upToDate = pending.length === 0 && changed.length === 0;
+      console.log(upToDate ? '✅ Database is up to date' : '❌ Database is not up to date');
+      return upToDate ? 0 : 1;
+    }
+  }
+}
+
+if (require.main === module) {
+  (async () => {
+    try {
+      process.exitCode = await run(parseArgs(process.argv.slice(2)));
+    } catch (error) {
+      console.error('❌ Migration error:', error.message);
+      (error.details || []).forEach(detail => console.error(`   - ${detail}`));
+      process.exitCode = 1;
+    } finally {
+      await pool.end();
+    }
+  })();
+}
+
+module.exports = { run };
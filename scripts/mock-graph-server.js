@@ -0,0 +1,362 @@
+// Stand-in for the WhatsApp Cloud API, for running the whole send and
+// receive flow without a real WhatsApp Business Account.
+//
+// Usage:
+//   node scripts/mock-graph-server.js            (listens on MOCK_GRAPH_PORT, default 4010)
+//   GRAPH_API_BASE_URL=http://localhost:4010 WABA_ID=mock-waba npm start
+//   TEST_DATABASE_URL=postgres://... npm test   (test/send-receive.test.js runs it in-process)
+//
+// Graph API (any version):
+//   message templates (paginated like the real endpoint, MOCK_GRAPH_PAGE_SIZE
+//   caps the page size), message sends and read receipts, media upload and
+//   download, and the business profile.
+//
+// Webhooks: sent messages get 'sent' and 'delivered' status webhooks (and
+// 'read' with MOCK_AUTO_READ=true) posted to MOCK_WEBHOOK_URL (default
+// http://localhost:10000/webhook), signed with APP_SECRET when it is set.
+//
+// Test controls:
+//   POST /_mock/inbound    { from, text } or { from, type: 'image', caption }
+//                          or { from, message } - a customer message, as a webhook
+//   POST /_mock/fail-next  { status, error: { code, message }, count } - fail the next sends
+//   GET  /_mock/sent       everything the mock was sent
+//   POST /_mock/reset      forget sent messages, media and queued failures
+
+const express = require('express');
+const multer = require('multer');
+const axios = require('axios');
+const crypto = require('crypto');
+
+const TEMPLATES = [
+  {
+    id: '1000000000000001',
+    name: 'hello_world',
+    language: 'en_US',
+    status: 'APPROVED',
+    category: 'UTILITY',
+    parameter_format: 'POSITIONAL',
+    components: [
+      { type: 'HEADER', format: 'TEXT', text: 'Hello World' },
+      { type: 'BODY', text: 'Welcome and congratulations!! This message demonstrates your ability to send a WhatsApp message notification.' },
+      { type: 'FOOTER', text: 'WhatsApp Business Platform sample message' }
+    ]
+  },
+  {
+    id: '1000000000000002',
+    name: 'order_update',
+    language: 'en_US',
+    status: 'APPROVED',
+    category: 'UTILITY',
+    parameter_format: 'POSITIONAL',
+    components: [
+      { type: 'HEADER', format: 'TEXT', text: 'Order {{1}}' },
+      { type: 'BODY', text: 'Hi {{1}}, your order {{2}} is on its way and should arrive by {{3}}.' },
+      {
+        type: 'BUTTONS',
+        buttons: [
+          { type: 'URL', text: 'Track order', url: 'https://example.com/track/{{1}}' },
+          { type: 'QUICK_REPLY', text: 'Talk to us' }
+        ]
+      }
+    ]
+  },
+  {
+    id: '1000000000000003',
+    name: 'order_update',
+    language: 'es',
+    status: 'APPROVED',
+    category: 'UTILITY',
+    parameter_format: 'POSITIONAL',
+    components: [
+      { type: 'HEADER', format: 'TEXT', text: 'Pedido {{1}}' },
+      { type: 'BODY', text: 'Hola {{1}}, tu pedido {{2}} está en camino y llegará el {{3}}.' },
+      {
+        type: 'BUTTONS',
+        buttons: [
+          { type: 'URL', text: 'Seguir pedido', url: 'https://example.com/track/{{1}}' },
+          { type: 'QUICK_REPLY', text: 'Hablar con nosotros' }
+        ]
+      }
+    ]
+  },
+  {
+    id: '1000000000000004',
+    name: 'invoice_ready',
+    language: 'en_US',
+    status: 'APPROVED',
+    category: 'UTILITY',
+    parameter_format: 'NAMED',
+    components: [
+      { type: 'HEADER', format: 'DOCUMENT' },
+      { type: 'BODY', text: 'Hi {{customer_name}}, your invoice for {{amount}} is attached.' }
+    ]
+  },
+  {
+    id: '1000000000000005',
+    name: 'spring_sale',
+    language: 'en_US',
+    status: 'PENDING',
+    category: 'MARKETING',
+    parameter_format: 'POSITIONAL',
+    components: [
+      { type: 'BODY', text: 'Our spring sale starts today!' }
+    ]
+  }
+];
+
+// 1x1 PNG used for simulated inbound images
+const SAMPLE_IMAGE = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+function createMockGraphServer(options = {}) {
+  const config = {
+    webhookUrl: process.env.MOCK_WEBHOOK_URL || `http://localhost:${process.env.PORT || 10000}/webhook`,
+    appSecret: (process.env.APP_SECRET || '').split(',')[0].trim(),
+    statusDelayMs: parseInt(process.env.MOCK_STATUS_DELAY_MS) || 500,
+    autoRead: process.env.MOCK_AUTO_READ === 'true',
+    phoneNumberId: process.env.PHONE_NUMBER_ID || 'mock-phone',
+    // Where request logs go (tests pass a no-op)
+    log: console.log,
+    ...options
+  };
+
+  const app = express();
+  app.use(express.json());
+  const upload = multer({ storage: multer.memoryStorage() });
+
+  // Everything the mock was sent, for inspection while testing
+  let sent = [];
+  // Uploaded and simulated inbound media by id
+  let media = new Map();
+  // Errors to answer the next message sends with
+  let failures = [];
+  let businessProfile = {
+    about: 'Mock business',
+    address: null,
+    description: 'A WhatsApp Business Account that only exists in the mock',
+    email: null,
+    websites: [],
+    vertical: 'OTHER',
+    messaging_product: 'whatsapp'
+  };
+
+  function storeMedia(data, mimeType) {
+    const id = String(Date.now()) + crypto.randomInt(1000, 9999);
+    media.set(id, {
+      data,
+      mimeType,
+      sha256: crypto.createHash('sha256').update(data).digest('hex')
+    });
+    return id;
+  }
+
+  // Deliver a webhook to the backend the way Meta does
+  async function postWebhook(value) {
+    const body = JSON.stringify({
+      object: 'whatsapp_business_account',
+      entry: [{
+        id: 'mock-waba',
+        changes: [{
+          field: 'messages',
+          value: {
+            messaging_product: 'whatsapp',
+            metadata: { display_phone_number: '15550000000', phone_number_id: config.phoneNumberId },
+            ...value
+          }
+        }]
+      }]
+    });
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.appSecret) {
+      headers['X-Hub-Signature-256'] = 'sha256=' +
+        crypto.createHmac('sha256', config.appSecret).update(body).digest('hex');
+    }
+
+    try {
+      await axios.post(config.webhookUrl, body, { headers, timeout: 10000 });
+    } catch (error) {
+      config.log(`❌ [mock graph] webhook to ${config.webhookUrl} failed: ${error.message}`);
+    }
+  }
+
+  // sent → delivered (→ read) status webhooks for a sent message
+  function sendStatuses(id, to) {
+    const statuses = ['sent', 'delivered', ...(config.autoRead ? ['read'] : [])];
+
+    statuses.forEach((status, index) => {
+      setTimeout(() => postWebhook({
+        statuses: [{
+          id,
+          status,
+          timestamp: String(Math.floor(Date.now() / 1000)),
+          recipient_id: to
+        }]
+      }), config.statusDelayMs * (index + 1));
+    });
+  }
+
+  // ---- Test controls (registered first so /:version/:mediaId doesn't catch them)
+
+  app.get('/_mock/sent', (req, res) => {
+    res.json(sent);
+  });
+
+  app.post('/_mock/reset', (req, res) => {
+    sent = [];
+    media = new Map();
+    failures = [];
+    res.json({ success: true });
+  });
+
+  app.post('/_mock/fail-next', (req, res) => {
+    const { status = 400, error = { code: 131026, message: 'Message undeliverable' }, count = 1 } = req.body;
+    for (let i = 0; i < count; i++) {
+      failures.push({ status, error: { type: 'OAuthException', fbtrace_id: 'mock', ...error } });
+    }
+    res.json({ success: true, queued: failures.length });
+  });
+
+  app.post('/_mock/inbound', async (req, res) => {
+    const { from, name, text, type = 'text', caption } = req.body;
+    if (!from) {
+      return res.status(400).json({ success: false, error: 'from is required' });
+    }
+
+    const id = `wamid.MOCKIN${crypto.randomBytes(12).toString('hex').toUpperCase()}`;
+    let message = req.body.message;
+
+    if (!message && type === 'image') {
+      const mediaId = storeMedia(SAMPLE_IMAGE, 'image/png');
+      message = { type, image: { id: mediaId, mime_type: 'image/png', sha256: media.get(mediaId).sha256, ...(caption && { caption }) } };
+    } else if (!message) {
+      message = { type: 'text', text: { body: text || 'Hello from the mock' } };
+    }
+
+    await postWebhook({
+      contacts: [{ profile: { name: name || `Mock ${from}` }, wa_id: from }],
+      messages: [{
+        from,
+        id,
+        timestamp: String(Math.floor(Date.now() / 1000)),
+        ...message
+      }]
+    });
+
+    config.log(`📩 [mock graph] inbound ${message.type} from ${from}: ${id}`);
+    res.json({ success: true, id });
+  });
+
+  app.get('/_mock/files/:id', (req, res) => {
+    const file = media.get(req.params.id);
+    if (!file) return res.sendStatus(404);
+    if (!req.headers.authorization) return res.sendStatus(401);
+    res.type(file.mimeType).send(file.data);
+  });
+
+  // ---- Graph API
+
+  app.get('/:version/:wabaId/message_templates', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 25, parseInt(process.env.MOCK_GRAPH_PAGE_SIZE) || 100);
+    const offset = parseInt(req.query.after) || 0;
+    const page = TEMPLATES.slice(offset, offset + limit);
+    const next = offset + limit < TEMPLATES.length ? offset + limit : null;
+
+    res.json({
+      data: page,
+      paging: {
+        cursors: { before: String(offset), after: String(offset + page.length) },
+        ...(next !== null && {
+          next: `${req.protocol}://${req.get('host')}${req.path}?limit=${limit}&after=${next}`
+        })
+      }
+    });
+  });
+
+  app.post('/:version/:phoneNumberId/messages', (req, res) => {
+    // Read receipts and typing indicators
+    if (req.body.status === 'read') {
+      sent.push({ ...req.body });
+      config.log(`👀 [mock graph] read ${req.body.message_id}${req.body.typing_indicator ? ' (typing)' : ''}`);
+      return res.json({ success: true });
+    }
+
+    if (failures.length > 0) {
+      const failure = failures.shift();
+      config.log(`💥 [mock graph] failing send to ${req.body.to}: ${failure.error.code}`);
+      return res.status(failure.status).json({ error: failure.error });
+    }
+
+    if (!req.body.to) {
+      return res.status(400).json({
+        error: { message: '(#100) The parameter to is required.', type: 'OAuthException', code: 100 }
+      });
+    }
+
+    const id = `wamid.MOCK${crypto.randomBytes(12).toString('hex').toUpperCase()}`;
+    sent.push({ id, ...req.body });
+    config.log(`📤 [mock graph] ${req.body.type || 'message'} to ${req.body.to}: ${id}`);
+    sendStatuses(id, req.body.to);
+
+    res.json({
+      messaging_product: 'whatsapp',
+      contacts: [{ input: req.body.to, wa_id: req.body.to }],
+      messages: [{ id }]
+    });
+  });
+
+  app.post('/:version/:phoneNumberId/media', upload.single('file'), (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({
+        error: { message: '(#100) The parameter file is required.', type: 'OAuthException', code: 100 }
+      });
+    }
+
+    const id = storeMedia(req.file.buffer, req.body.type || req.file.mimetype);
+    config.log(`📎 [mock graph] uploaded ${req.file.originalname} (${req.file.size} bytes): ${id}`);
+    res.json({ id });
+  });
+
+  app.get('/:version/:phoneNumberId/whatsapp_business_profile', (req, res) => {
+    res.json({ data: [businessProfile] });
+  });
+
+  app.post('/:version/:phoneNumberId/whatsapp_business_profile', (req, res) => {
+    const { messaging_product, ...fields } = req.body;
+    businessProfile = { ...businessProfile, ...fields };
+    res.json({ success: true });
+  });
+
+  // Media metadata with a download URL back into the mock
+  app.get('/:version/:mediaId', (req, res) => {
+    const file = media.get(req.params.mediaId);
+    if (!file) {
+      return res.status(400).json({
+        error: { message: 'Unsupported get request. Object does not exist.', type: 'GraphMethodException', code: 100, error_subcode: 33 }
+      });
+    }
+
+    res.json({
+      messaging_product: 'whatsapp',
+      id: req.params.mediaId,
+      url: `${req.protocol}://${req.get('host')}/_mock/files/${req.params.mediaId}`,
+      mime_type: file.mimeType,
+      sha256: file.sha256,
+      file_size: file.data.length
+    });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  const port = process.env.MOCK_GRAPH_PORT || 4010;
+  createMockGraphServer().listen(port, () => {
+    console.log(`🧪 Mock Graph API listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createMockGraphServer, TEMPLATES };
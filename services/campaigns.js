@@ -0,0 +1,472 @@
+// Broadcast campaigns: one approved template sent to every contact in an
+// audience (picked by tags, status and/or assigned_to).
+// Recipients are snapshotted into campaign_recipients when the campaign is
+// created. While a campaign is running a worker hands pending recipients to
+// the outbound queue, never more than rate_per_minute in any minute, and
+// message status webhooks and replies are recorded against each recipient.
+
+const DEFAULT_OPTIONS = {
+  pollIntervalMs: parseInt(process.env.CAMPAIGN_WORKER_INTERVAL_MS) || 2000,
+  ratePerMinute: parseInt(process.env.CAMPAIGN_RATE_PER_MINUTE) || 60,
+  batchSize: 50,
+  // Replies are credited to a campaign message sent at most this long before
+  replyWindowHours: parseInt(process.env.CAMPAIGN_REPLY_WINDOW_HOURS) || 72
+};
+
+const CAMPAIGN_STATUSES = ['draft', 'running', 'paused', 'completed', 'cancelled'];
+
+function campaignError(message, code = 'CAMPAIGN_INVALID') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Replace {{contact.name}}, {{contact.phone_number}}, {{contact.email}} and
+// {{variable}} placeholders anywhere in the template parameters
+function fillCampaignParameters(value, context) {
+  if (typeof value === 'string') {
+    return value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, path) => {
+      const resolved = path.split('.').reduce((object, key) => object?.[key], context);
+      return resolved === undefined || resolved === null ? '' : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => fillCampaignParameters(item, context));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, fillCampaignParameters(item, context)])
+    );
+  }
+  return value;
+}
+
+// WHERE clause over contacts (alias c) for an audience definition
+function buildAudienceFilter(audience = {}, values) {
+  const conditions = [];
+
+  const tags = [].concat(audience.tags || []);
+  if (tags.length > 0) {
+    values.push(tags);
+    conditions.push(audience.tagMatch === 'all'
+      ? `c.tags @> $${values.length}::text[]`
+      : `c.tags && $${values.length}::text[]`);
+  }
+
+  const statuses = [].concat(audience.status || []);
+  if (statuses.length > 0) {
+    values.push(statuses);
+    conditions.push(`c.status = ANY($${values.length}::text[])`);
+  }
+
+  const assignedTo = [].concat(audience.assignedTo || []);
+  if (assignedTo.length > 0) {
+    values.push(assignedTo);
+    conditions.push(`c.assigned_to = ANY($${values.length}::text[])`);
+  }
+
+  if (conditions.length === 0) {
+    throw campaignError('audience needs at least one of tags, status or assignedTo');
+  }
+
+  return conditions.join(' AND ');
+}
+
+function createCampaignManager({ pool, templateRegistry, sendTemplate, options = {} }) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  let timer = null;
+  let running = false;
+
+  async function getCampaign(id) {
+    const result = await pool.query('SELECT * FROM campaigns WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  // Move a campaign between statuses; null if it isn't in one of `from`
+  async function transition(id, from, to, lastError = null) {
+    const result = await pool.query(
+      `UPDATE campaigns
+       SET status = $3::text,
+           started_at = CASE WHEN $3::text = 'running' THEN COALESCE(started_at, CURRENT_TIMESTAMP) ELSE started_at END,
+           completed_at = CASE WHEN $3::text IN ('completed', 'cancelled') THEN CURRENT_TIMESTAMP ELSE completed_at END,
+           last_error = $4,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+         AND status = ANY($2)
+       RETURNING *`,
+      [id, from, to, lastError]
+    );
+    return result.rows[0] || null;
+  }
+
+  async function skipRecipient(recipient, reason) {
+    await pool.query(
+      `UPDATE campaign_recipients
+       SET status = 'skipped',
+           error = $2,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [recipient.id, reason]
+    );
+  }
+
+  async function failRecipient(recipient, message) {
+    await pool.query(
+      `UPDATE campaign_recipients
+       SET status = 'failed',
+           error = $2,
+           failed_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [recipient.id, message]
+    );
+  }
+
+  // Link a recipient to the message queued for it, taking over any outcome
+  // the outbound queue already recorded
+  async function linkRecipient(recipient, messageId) {
+    await pool.query(
+      `UPDATE campaign_recipients r
+       SET message_id = m.id,
+           status = CASE WHEN m.status IN ('sent', 'delivered', 'read', 'failed') THEN m.status ELSE 'queued' END,
+           sent_at = CASE WHEN m.status IN ('sent', 'delivered', 'read') THEN CURRENT_TIMESTAMP END,
+           failed_at = CASE WHEN m.status = 'failed' THEN CURRENT_TIMESTAMP END,
+           error = m.error_title,
+           updated_at = CURRENT_TIMESTAMP
+       FROM messages m
+       WHERE r.id = $1
+         AND m.id = $2`,
+      [recipient.id, messageId]
+    );
+  }
+
+  async function dispatchCampaign(campaign) {
+    // Sliding one-minute window keeps the campaign under its rate
+    const recent = await pool.query(
+      `SELECT COUNT(*) FROM campaign_recipients
+       WHERE campaign_id = $1
+         AND queued_at > CURRENT_TIMESTAMP - INTERVAL '1 minute'`,
+      [campaign.id]
+    );
+    const allowance = Math.min(campaign.rate_per_minute - parseInt(recent.rows[0].count), config.batchSize);
+    if (allowance <= 0) return;
+
+    const claimed = await pool.query(
+      `UPDATE campaign_recipients
+       SET status = 'queued',
+           queued_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT id FROM campaign_recipients
+         WHERE campaign_id = $1
+           AND status = 'pending'
+         ORDER BY id
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [campaign.id, allowance]
+    );
+    const recipients = claimed.rows.sort((a, b) => a.id - b.id);
+
+    if (recipients.length === 0) {
+      const pending = await pool.query(
+        `SELECT 1 FROM campaign_recipients
+         WHERE campaign_id = $1 AND status = 'pending'
+         LIMIT 1`,
+        [campaign.id]
+      );
+      if (pending.rows.length === 0 && await transition(campaign.id, ['running'], 'completed')) {
+        console.log(`🏁 Campaign ${campaign.id} (${campaign.name}) has been handed to the outbound queue`);
+      }
+      return;
+    }
+
+    let template;
+    try {
+      template = await templateRegistry.select(campaign.template_name, campaign.language);
+    } catch (error) {
+      // Template unapproved or removed since the campaign was created
+      await pool.query(
+        `UPDATE campaign_recipients
+         SET status = 'pending', queued_at = NULL
+         WHERE id = ANY($1)`,
+        [recipients.map(recipient => recipient.id)]
+      );
+      await transition(campaign.id, ['running'], 'paused', error.message);
+      console.error(`⏸️ Campaign ${campaign.id} paused: ${error.message}`);
+      return;
+    }
+
+    const contacts = await pool.query(
+      'SELECT * FROM contacts WHERE id = ANY($1)',
+      [recipients.map(recipient => recipient.contact_id)]
+    );
+    const contactsById = Object.fromEntries(contacts.rows.map(contact => [contact.id, contact]));
+
+    for (const recipient of recipients) {
+      const contact = contactsById[recipient.contact_id] || { phone_number: recipient.phone_number };
+
+      // Opted out since the audience was taken
+      if (contact.opted_out) {
+        await skipRecipient(recipient, 'Contact opted out');
+        continue;
+      }
+
+      const params = fillCampaignParameters(campaign.parameters || {}, {
+        ...(recipient.variables || {}),
+        contact: contact
+      });
+
+      try {
+        const { savedMessage } = await sendTemplate(recipient.phone_number, template, params, {
+          campaignId: campaign.id
+        });
+        await linkRecipient(recipient, savedMessage.id);
+      } catch (error) {
+        const details = error.details?.length ? `: ${error.details.join('; ')}` : '';
+        await failRecipient(recipient, `${error.message}${details}`);
+        console.error(`❌ Campaign ${campaign.id} recipient ${recipient.phone_number}: ${error.message}${details}`);
+      }
+    }
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+
+    try {
+      const campaigns = await pool.query(
+        `SELECT * FROM campaigns WHERE status = 'running' ORDER BY id`
+      );
+
+      for (const campaign of campaigns.rows) {
+        await dispatchCampaign(campaign);
+      }
+    } catch (error) {
+      console.error('❌ Campaign worker error:', error.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    // Create a draft campaign and snapshot its audience.
+    // data: { name, template, language, audience: { tags, tagMatch, status, assignedTo },
+    //         parameters, variables: { phone: { name: value } }, ratePerMinute }
+    async create(data) {
+      if (!data.name || !data.template) {
+        throw campaignError('name and template are required');
+      }
+
+      // Fails early when there is no approved template in that language
+      const template = await templateRegistry.select(data.template, data.language);
+
+      const values = [];
+      const audienceFilter = buildAudienceFilter(data.audience, values);
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const created = await client.query(
+          `INSERT INTO campaigns
+           (name, template_name, language, audience, parameters, rate_per_minute)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+          [
+            data.name,
+            template.name,
+            template.language,
+            JSON.stringify(data.audience),
+            JSON.stringify(data.parameters || {}),
+            parseInt(data.ratePerMinute) || config.ratePerMinute
+          ]
+        );
+        const campaign = created.rows[0];
+
+        values.push(campaign.id, JSON.stringify(data.variables || {}));
+        const recipients = await client.query(
+          `INSERT INTO campaign_recipients (campaign_id, contact_id, phone_number, variables)
+           SELECT $${values.length - 1}, c.id, c.phone_number, COALESCE($${values.length}::jsonb -> c.phone_number, '{}')
+           FROM contacts c
+           WHERE ${audienceFilter}
+           ORDER BY c.id`,
+          values
+        );
+
+        await client.query('COMMIT');
+
+        console.log(`📣 Campaign ${campaign.id} (${campaign.name}) created with ${recipients.rowCount} recipients`);
+        return { ...campaign, recipient_count: recipients.rowCount };
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    async list({ status = null, limit = 100 } = {}) {
+      const result = await pool.query(
+        `SELECT c.*, (SELECT COUNT(*) FROM campaign_recipients r WHERE r.campaign_id = c.id) as recipient_count
+         FROM campaigns c
+         WHERE ($1::text IS NULL OR c.status = $1)
+         ORDER BY c.id DESC
+         LIMIT $2`,
+        [status, limit]
+      );
+      return result.rows;
+    },
+
+    get: getCampaign,
+
+    async recipients(id, { status = null, limit = 100, offset = 0 } = {}) {
+      const result = await pool.query(
+        `SELECT * FROM campaign_recipients
+         WHERE campaign_id = $1
+           AND ($2::text IS NULL OR status = $2)
+         ORDER BY id
+         LIMIT $3 OFFSET $4`,
+        [id, status, limit, offset]
+      );
+      return result.rows;
+    },
+
+    startCampaign(id) {
+      return transition(id, ['draft'], 'running');
+    },
+
+    pauseCampaign(id) {
+      return transition(id, ['running'], 'paused');
+    },
+
+    resumeCampaign(id) {
+      return transition(id, ['paused'], 'running');
+    },
+
+    // Stop for good; recipients not yet handed to the queue are skipped
+    async cancelCampaign(id) {
+      const campaign = await transition(id, ['draft', 'running', 'paused'], 'cancelled');
+      if (campaign) {
+        await pool.query(
+          `UPDATE campaign_recipients
+           SET status = 'skipped', updated_at = CURRENT_TIMESTAMP
+           WHERE campaign_id = $1 AND status = 'pending'`,
+          [id]
+        );
+      }
+      return campaign;
+    },
+
+    // Totals per outcome plus the most common failure reasons
+    async report(id) {
+      const campaign = await getCampaign(id);
+      if (!campaign) return null;
+
+      const totals = await pool.query(
+        `SELECT
+           COUNT(*) as recipients,
+           COUNT(*) FILTER (WHERE status = 'pending') as pending,
+           COUNT(*) FILTER (WHERE status = 'queued') as queued,
+           COUNT(*) FILTER (WHERE status = 'skipped') as skipped,
+           COUNT(sent_at) as sent,
+           COUNT(delivered_at) as delivered,
+           COUNT(read_at) as read,
+           COUNT(failed_at) as failed,
+           COUNT(replied_at) as replied
+         FROM campaign_recipients
+         WHERE campaign_id = $1`,
+        [id]
+      );
+
+      const failures = await pool.query(
+        `SELECT error, COUNT(*) as count
+         FROM campaign_recipients
+         WHERE campaign_id = $1 AND failed_at IS NOT NULL
+         GROUP BY error
+         ORDER BY count DESC
+         LIMIT 10`,
+        [id]
+      );
+
+      const counts = Object.fromEntries(
+        Object.entries(totals.rows[0]).map(([key, value]) => [key, parseInt(value)])
+      );
+      const rate = (count) => counts.sent > 0 ? Math.round((count / counts.sent) * 1000) / 10 : 0;
+
+      return {
+        campaign,
+        totals: counts,
+        rates: {
+          delivered: rate(counts.delivered),
+          read: rate(counts.read),
+          replied: rate(counts.replied)
+        },
+        failures: failures.rows.map(row => ({ error: row.error, count: parseInt(row.count) }))
+      };
+    },
+
+    // Record a sent/delivered/read/failed status for a campaign message
+    async recordMessageStatus(messageId, status, error = null) {
+      const updates = {
+        sent: `sent_at = COALESCE(sent_at, CURRENT_TIMESTAMP),
+               status = CASE WHEN status = 'queued' THEN 'sent' ELSE status END`,
+        delivered: `sent_at = COALESCE(sent_at, CURRENT_TIMESTAMP),
+                    delivered_at = COALESCE(delivered_at, CURRENT_TIMESTAMP),
+                    status = CASE WHEN status IN ('queued', 'sent') THEN 'delivered' ELSE status END`,
+        read: `sent_at = COALESCE(sent_at, CURRENT_TIMESTAMP),
+               delivered_at = COALESCE(delivered_at, CURRENT_TIMESTAMP),
+               read_at = COALESCE(read_at, CURRENT_TIMESTAMP),
+               status = CASE WHEN status IN ('queued', 'sent', 'delivered') THEN 'read' ELSE status END`,
+        failed: `failed_at = COALESCE(failed_at, CURRENT_TIMESTAMP),
+                 error = COALESCE($2, error),
+                 status = 'failed'`
+      };
+      if (!updates[status]) return;
+
+      await pool.query(
+        `UPDATE campaign_recipients
+         SET ${updates[status]},
+             updated_at = CURRENT_TIMESTAMP
+         WHERE message_id = $1`,
+        status === 'failed' ? [messageId, error] : [messageId]
+      );
+    },
+
+    // A contact wrote to us: credit the campaigns recently sent to them
+    async recordReply(phoneNumber) {
+      await pool.query(
+        `UPDATE campaign_recipients
+         SET replied_at = CURRENT_TIMESTAMP,
+             status = CASE WHEN status = 'failed' THEN status ELSE 'replied' END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE phone_number = $1
+           AND replied_at IS NULL
+           AND sent_at IS NOT NULL
+           AND sent_at > CURRENT_TIMESTAMP - ($2 * INTERVAL '1 hour')`,
+        [phoneNumber, config.replyWindowHours]
+      );
+    },
+
+    start() {
+      if (timer) return;
+      timer = setInterval(tick, config.pollIntervalMs);
+      console.log(`📣 Campaign worker started (every ${config.pollIntervalMs}ms)`);
+      tick();
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+
+    tick
+  };
+}
+
+module.exports = {
+  CAMPAIGN_STATUSES,
+  createCampaignManager,
+  fillCampaignParameters
+};
@@ -0,0 +1,292 @@
+// Canned responses.
+// Reusable replies agents pick by shortcut ("/hours") instead of typing them
+// again. Each one is shared with everyone, with one team or kept private by
+// the agent who wrote it. Placeholders such as {{contact.name}} or
+// {{contact.plan}} (a custom attribute) are filled from the contact when the
+// response is rendered for a chat, and every send is counted.
+
+const VISIBILITIES = ['everyone', 'team', 'private'];
+
+const SHORTCUT_PATTERN = /^[a-z0-9_-]{1,50}$/;
+
+const LIMITS = {
+  title: 100,
+  category: 50,
+  // WhatsApp's limit for a text message body
+  content: 4096
+};
+
+// Columns on contacts that are never offered as placeholders
+const HIDDEN_CONTACT_FIELDS = ['attributes', 'opted_out', 'consent_updated_at', 'consent_source'];
+
+function validationError(message, details = []) {
+  const error = new Error(message);
+  error.code = 'CANNED_RESPONSE_INVALID';
+  error.details = details;
+  return error;
+}
+
+function forbiddenError(message) {
+  const error = new Error(message);
+  error.code = 'CANNED_RESPONSE_FORBIDDEN';
+  return error;
+}
+
+// Shortcuts are stored lowercase without the leading slash agents type
+function normalizeShortcut(shortcut) {
+  return String(shortcut || '').trim().replace(/^\//, '').toLowerCase();
+}
+
+// Check a create (partial = false) or update request and return the columns to write
+function validateResponse(data, agent, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+
+  if (!partial || data.shortcut !== undefined) {
+    values.shortcut = normalizeShortcut(data.shortcut);
+    if (!SHORTCUT_PATTERN.test(values.shortcut)) {
+      errors.push('shortcut must be 1-50 letters, digits, dashes or underscores');
+    } else if (/^\d+$/.test(values.shortcut)) {
+      // All-digit refs are looked up as ids (see find)
+      errors.push('shortcut must contain at least one letter, dash or underscore');
+    }
+  }
+
+  if (!partial || data.content !== undefined) {
+    if (typeof data.content !== 'string' || data.content.trim() === '') {
+      errors.push('content is required');
+    } else if (data.content.length > LIMITS.content) {
+      errors.push(`content is longer than ${LIMITS.content} characters`);
+    }
+    values.content = data.content;
+  }
+
+  for (const field of ['title', 'category']) {
+    if (data[field] === undefined) continue;
+    if (data[field] !== null && typeof data[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    } else if (data[field] && data[field].length > LIMITS[field]) {
+      errors.push(`${field} is longer than ${LIMITS[field]} characters`);
+    }
+    values[field] = data[field] ? data[field].trim() : null;
+  }
+
+  if (!partial || data.visibility !== undefined || data.team !== undefined) {
+    const visibility = data.visibility || (data.team ? 'team' : 'everyone');
+    if (!VISIBILITIES.includes(visibility)) {
+      errors.push(`visibility must be one of: ${VISIBILITIES.join(', ')}`);
+    }
+
+    values.visibility = visibility;
+    values.team = visibility === 'team' ? (data.team || null) : null;
+
+    if (visibility === 'team') {
+      if (!values.team) {
+        errors.push('team is required when visibility is team');
+      } else if (!agent.isAdmin && !agent.teams.includes(values.team)) {
+        errors.push(`you are not a member of team ${values.team}`);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw validationError('Canned response is invalid', errors);
+  }
+
+  return values;
+}
+
+// Values available to placeholders: {{contact.<column>}}, {{contact.<attribute>}},
+// {{agent.name}} and anything passed in variables
+function buildContext(contact, agent, variables = {}) {
+  const contactValues = { ...(contact?.attributes || {}) };
+  for (const [key, value] of Object.entries(contact || {})) {
+    if (!HIDDEN_CONTACT_FIELDS.includes(key)) contactValues[key] = value;
+  }
+
+  return {
+    ...variables,
+    contact: { ...contactValues, ...(variables.contact || {}) },
+    agent: { name: agent?.name || null, ...(variables.agent || {}) }
+  };
+}
+
+// Fill placeholders in content. Placeholders without a value are left empty
+// and listed in `missing`.
+function renderCannedResponse(content, { contact = null, agent = null, variables = {} } = {}) {
+  const context = buildContext(contact, agent, variables);
+  const missing = [];
+
+  const text = String(content).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, path) => {
+    const resolved = path.split('.').reduce((object, key) => object?.[key], context);
+    if (resolved === undefined || resolved === null || resolved === '') {
+      if (!missing.includes(path)) missing.push(path);
+      return '';
+    }
+    return String(resolved);
+  });
+
+  return { text, missing };
+}
+
+function createCannedResponses({ pool }) {
+  // SQL condition for the responses an agent can see; values gets the
+  // agent's name and teams appended
+  function visibleTo(agent, values) {
+    if (agent.isAdmin) return 'TRUE';
+
+    values.push(agent.name, agent.teams);
+    const name = `$${values.length - 1}`;
+    const teams = `$${values.length}::text[]`;
+    return `(visibility = 'everyone'
+             OR (visibility = 'team' AND team = ANY(${teams}))
+             OR (visibility = 'private' AND created_by = ${name}))`;
+  }
+
+  // Only the author (or an admin) may change a response
+  function assertCanEdit(response, agent) {
+    if (!agent.isAdmin && response.created_by !== agent.name) {
+      throw forbiddenError('Only the author of a canned response can change it');
+    }
+  }
+
+  async function insertOrUpdate(queryText, values) {
+    try {
+      const result = await pool.query(queryText, values);
+      return result.rows[0] || null;
+    } catch (error) {
+      if (error.code === '23505') {
+        throw validationError('Canned response is invalid', ['shortcut is already used by another response']);
+      }
+      throw error;
+    }
+  }
+
+  return {
+    // search matches shortcut, title and content
+    async list(agent, { search = null, category = null, limit = 100 } = {}) {
+      const values = [];
+      const conditions = [visibleTo(agent, values)];
+
+      if (search) {
+        values.push(`%${search.replace(/^\//, '')}%`);
+        conditions.push(`(shortcut ILIKE $${values.length} OR title ILIKE $${values.length} OR content ILIKE $${values.length})`);
+      }
+      if (category) {
+        values.push(category);
+        conditions.push(`category = $${values.length}`);
+      }
+
+      values.push(limit);
+      const result = await pool.query(
+        `SELECT * FROM canned_responses
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY usage_count DESC, shortcut
+         LIMIT $${values.length}`,
+        values
+      );
+      return result.rows;
+    },
+
+    // Categories in use among the responses the agent can see, with counts
+    async categories(agent) {
+      const values = [];
+      const result = await pool.query(
+        `SELECT category, COUNT(*)::int as count
+         FROM canned_responses
+         WHERE category IS NOT NULL AND ${visibleTo(agent, values)}
+         GROUP BY category
+         ORDER BY category`,
+        values
+      );
+      return result.rows;
+    },
+
+    // By id, or by shortcut when ref isn't a number. A shortcut resolves to
+    // the agent's own private response first, then their team's, then the
+    // shared one.
+    async find(agent, ref) {
+      const values = [];
+      const condition = visibleTo(agent, values);
+
+      if (/^\d+$/.test(String(ref))) {
+        values.push(parseInt(ref));
+        const result = await pool.query(
+          `SELECT * FROM canned_responses WHERE id = $${values.length} AND ${condition}`,
+          values
+        );
+        return result.rows[0] || null;
+      }
+
+      values.push(normalizeShortcut(ref));
+      const result = await pool.query(
+        `SELECT * FROM canned_responses
+         WHERE shortcut = $${values.length} AND ${condition}
+         ORDER BY CASE visibility WHEN 'private' THEN 0 WHEN 'team' THEN 1 ELSE 2 END, id
+         LIMIT 1`,
+        values
+      );
+      return result.rows[0] || null;
+    },
+
+    async create(agent, data) {
+      const values = validateResponse(data, agent);
+      return insertOrUpdate(
+        `INSERT INTO canned_responses
+         (shortcut, title, content, category, visibility, team, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [values.shortcut, values.title || null, values.content, values.category || null,
+          values.visibility, values.team, agent.name]
+      );
+    },
+
+    // Returns null when the response doesn't exist or isn't visible to the agent
+    async update(agent, ref, data) {
+      const response = await this.find(agent, ref);
+      if (!response) return null;
+      assertCanEdit(response, agent);
+
+      const values = validateResponse(data, agent, { partial: true });
+      const columns = Object.keys(values);
+      if (columns.length === 0) return response;
+
+      return insertOrUpdate(
+        `UPDATE canned_responses
+         SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(', ')},
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [response.id, ...columns.map(column => values[column])]
+      );
+    },
+
+    async remove(agent, ref) {
+      const response = await this.find(agent, ref);
+      if (!response) return null;
+      assertCanEdit(response, agent);
+
+      await pool.query('DELETE FROM canned_responses WHERE id = $1', [response.id]);
+      return response;
+    },
+
+    // Count a send of the response
+    async recordUse(id) {
+      const result = await pool.query(
+        `UPDATE canned_responses
+         SET usage_count = usage_count + 1,
+             last_used_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [id]
+      );
+      return result.rows[0] || null;
+    }
+  };
+}
+
+module.exports = {
+  CANNED_RESPONSE_VISIBILITIES: VISIBILITIES,
+  renderCannedResponse,
+  createCannedResponses
+};
@@ -0,0 +1,159 @@
+// Opt-out handling.
+// A customer who replies with an opt-out keyword (STOP, BAJA, ARRÊT, ...) is
+// suppressed: every outbound path refuses to message them until they opt back
+// in with an opt-in keyword or an agent changes it. Each change is kept in
+// contact_consents with when it happened and where it came from.
+//
+// OPT_OUT_KEYWORDS / OPT_IN_KEYWORDS (comma-separated) replace the defaults.
+
+// Words like CANCEL are left out on purpose: in a support inbox they usually
+// mean an order, not the conversation
+const DEFAULT_OPT_OUT_KEYWORDS = [
+  // English
+  'STOP', 'STOPALL', 'STOP ALL', 'STOP PROMOTIONS', 'UNSUBSCRIBE', 'OPT OUT', 'OPTOUT',
+  // Spanish
+  'BAJA', 'PARAR', 'DETENER', 'DESUSCRIBIR',
+  // Portuguese
+  'SAIR', 'DESCADASTRAR',
+  // French
+  'ARRET', 'ARRETER', 'DESABONNER',
+  // German
+  'STOPP', 'ABMELDEN',
+  // Italian
+  'DISISCRIVITI',
+  // Hindi
+  'बंद', 'रोकें'
+];
+
+const DEFAULT_OPT_IN_KEYWORDS = [
+  'START', 'UNSTOP', 'SUBSCRIBE', 'OPT IN', 'OPTIN',
+  'ALTA', 'INICIAR', 'SUSCRIBIR',
+  'VOLTAR',
+  'DEMARRER', 'ABONNER',
+  'ANMELDEN',
+  'ISCRIVITI',
+  'शुरू'
+];
+
+// Compare keywords case-insensitively, without Latin accents or punctuation:
+// "Arrêt!" matches ARRET
+function normalizeKeyword(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{M}\p{N} ]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toUpperCase();
+}
+
+function parseKeywords(value, defaults) {
+  const keywords = value ? value.split(',') : defaults;
+  return new Set(keywords.map(normalizeKeyword).filter(Boolean));
+}
+
+const OPT_OUT_KEYWORDS = parseKeywords(process.env.OPT_OUT_KEYWORDS, DEFAULT_OPT_OUT_KEYWORDS);
+const OPT_IN_KEYWORDS = parseKeywords(process.env.OPT_IN_KEYWORDS, DEFAULT_OPT_IN_KEYWORDS);
+
+// 'opted_out', 'opted_in' or null. Only a message that is just the keyword
+// counts, so "please don't stop" is a normal message.
+function matchConsentKeyword(text) {
+  const normalized = normalizeKeyword(text);
+  if (OPT_OUT_KEYWORDS.has(normalized)) return 'opted_out';
+  if (OPT_IN_KEYWORDS.has(normalized)) return 'opted_in';
+  return null;
+}
+
+function optedOutError(phone) {
+  const error = new Error(`${phone} has opted out of WhatsApp messages`);
+  error.code = 'CONTACT_OPTED_OUT';
+  return error;
+}
+
+function createConsentRegistry({ pool }) {
+  return {
+    // Change a contact's consent and record it. Returns the updated contact,
+    // or null when it was already in that state (nothing is recorded then).
+    // source: 'keyword', 'agent', 'api', ...
+    // occurredAt (when the customer sent the keyword) also leaves the contact
+    // alone if its consent changed after that, and moves consent_updated_at
+    // forward even when the state doesn't change, so a retried old STOP
+    // can't undo a newer START.
+    async record(contactId, { status, source, keyword = null, messageId = null, changedBy = null, occurredAt = null }) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const updated = await client.query(
+          `WITH previous AS (
+             SELECT id, opted_out FROM contacts WHERE id = $1 FOR UPDATE
+           )
+           UPDATE contacts c
+           SET opted_out = $2,
+               consent_updated_at = COALESCE($4, CURRENT_TIMESTAMP),
+               consent_source = CASE WHEN previous.opted_out <> $2 THEN $3 ELSE c.consent_source END,
+               updated_at = CURRENT_TIMESTAMP
+           FROM previous
+           WHERE c.id = previous.id
+             AND (previous.opted_out <> $2 OR $4::timestamp IS NOT NULL)
+             AND ($4::timestamp IS NULL OR c.consent_updated_at IS NULL OR c.consent_updated_at <= $4)
+           RETURNING c.*, previous.opted_out <> $2 AS changed`,
+          [contactId, status === 'opted_out', source, occurredAt]
+        );
+        const { changed, ...row } = updated.rows[0] || {};
+        const contact = changed ? row : null;
+
+        if (contact) {
+          await client.query(
+            `INSERT INTO contact_consents
+             (contact_id, phone_number, status, source, keyword, message_id, changed_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [contact.id, contact.phone_number, status, source, keyword, messageId, changedBy]
+          );
+        }
+
+        await client.query('COMMIT');
+
+        if (contact) {
+          console.log(`${status === 'opted_out' ? '🚫' : '✅'} ${contact.phone_number} ${status.replace('_', ' ')} (${source}${keyword ? `: ${keyword}` : ''})`);
+        }
+        return contact || null;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    async isOptedOut(phone) {
+      const result = await pool.query(
+        'SELECT opted_out FROM contacts WHERE phone_number = $1',
+        [phone]
+      );
+      return !!result.rows[0]?.opted_out;
+    },
+
+    // Throws a CONTACT_OPTED_OUT error for a suppressed number
+    async assertCanMessage(phone) {
+      if (await this.isOptedOut(phone)) {
+        throw optedOutError(phone);
+      }
+    },
+
+    async history(contactId) {
+      const result = await pool.query(
+        `SELECT * FROM contact_consents
+         WHERE contact_id = $1
+         ORDER BY id DESC`,
+        [contactId]
+      );
+      return result.rows;
+    }
+  };
+}
+
+module.exports = {
+  matchConsentKeyword,
+  createConsentRegistry
+};
@@ -0,0 +1,22 @@
+// Date parameters of API requests
+
+// Parse an optional date query/body parameter; returns undefined when absent
+// and null when it can't be parsed
+function parseDateParam(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// send_at for a scheduled message: undefined when absent, null when it
+// can't be parsed or is in the past (a minute of clock drift is allowed)
+function parseSendAt(value) {
+  const sendAt = parseDateParam(value);
+  if (!sendAt) return sendAt;
+  return sendAt.getTime() < Date.now() - 60 * 1000 ? null : sendAt;
+}
+
+module.exports = {
+  parseDateParam,
+  parseSendAt
+};
@@ -0,0 +1,237 @@
+// Interactive reply button and list messages.
+// Builds the Graph `interactive` object from a simpler request shape and
+// checks WhatsApp's count and length limits first, so a bad menu is rejected
+// with every problem listed instead of a generic API error.
+
+const LIMITS = {
+  headerText: 60,
+  body: 1024,
+  footer: 60,
+  buttons: 3,
+  buttonId: 256,
+  buttonTitle: 20,
+  listButton: 20,
+  sections: 10,
+  rows: 10,
+  sectionTitle: 24,
+  rowId: 200,
+  rowTitle: 24,
+  rowDescription: 72
+};
+
+// Reply buttons may have a text or media header; lists only a text header
+const BUTTON_HEADER_TYPES = ['text', 'image', 'video', 'document'];
+
+function validationError(message, details = []) {
+  const error = new Error(message);
+  error.code = 'INTERACTIVE_INVALID';
+  error.details = details;
+  return error;
+}
+
+function checkText(value, label, max, errors, { required = true } = {}) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    if (required) errors.push(`${label} is required`);
+  } else if (String(value).length > max) {
+    errors.push(`${label} is longer than ${max} characters`);
+  }
+}
+
+// header: a string (text) or { type, text } / { type, link | id, filename }
+function buildHeader(header, allowedTypes, errors) {
+  if (header === undefined || header === null || header === '') return null;
+
+  const given = typeof header === 'string' ? { type: 'text', text: header } : header;
+  const type = (given.type || 'text').toLowerCase();
+
+  if (!allowedTypes.includes(type)) {
+    errors.push(`header type must be one of: ${allowedTypes.join(', ')}`);
+    return null;
+  }
+
+  if (type === 'text') {
+    checkText(given.text, 'header text', LIMITS.headerText, errors);
+    return { type: 'text', text: String(given.text || '') };
+  }
+
+  if (!given.link && !given.id) {
+    errors.push(`header ${type} needs a link or id`);
+    return null;
+  }
+
+  const media = given.link ? { link: given.link } : { id: given.id };
+  if (type === 'document' && given.filename) media.filename = given.filename;
+  return { type, [type]: media };
+}
+
+function buildButtons(buttons, errors) {
+  if (!Array.isArray(buttons) || buttons.length === 0) {
+    errors.push('buttons must be a non-empty array');
+    return [];
+  }
+  if (buttons.length > LIMITS.buttons) {
+    errors.push(`at most ${LIMITS.buttons} buttons are allowed`);
+  }
+
+  const result = buttons.map((button, index) => {
+    // A bare string is used as both the id and the title
+    const given = typeof button === 'string' ? { id: button, title: button } : (button || {});
+    checkText(given.id, `button ${index} id`, LIMITS.buttonId, errors);
+    checkText(given.title, `button ${index} title`, LIMITS.buttonTitle, errors);
+    return { id: String(given.id || ''), title: String(given.title || '') };
+  });
+
+  if (new Set(result.map(button => button.id)).size < result.length) {
+    errors.push('button ids must be unique');
+  }
+  if (new Set(result.map(button => button.title)).size < result.length) {
+    errors.push('button titles must be unique');
+  }
+
+  return result;
+}
+
+function buildSections(sections, errors) {
+  if (!Array.isArray(sections) || sections.length === 0) {
+    errors.push('sections must be a non-empty array');
+    return [];
+  }
+  if (sections.length > LIMITS.sections) {
+    errors.push(`at most ${LIMITS.sections} sections are allowed`);
+  }
+
+  const rowIds = [];
+  const result = sections.map((section, sectionIndex) => {
+    const given = section || {};
+    const label = `section ${sectionIndex}`;
+
+    // A title is only optional when there is a single section
+    checkText(given.title, `${label} title`, LIMITS.sectionTitle, errors, { required: sections.length > 1 });
+
+    if (!Array.isArray(given.rows) || given.rows.length === 0) {
+      errors.push(`${label} needs at least one row`);
+    }
+
+    const rows = (given.rows || []).map((row, rowIndex) => {
+      const rowLabel = `${label} row ${rowIndex}`;
+      checkText(row?.id, `${rowLabel} id`, LIMITS.rowId, errors);
+      checkText(row?.title, `${rowLabel} title`, LIMITS.rowTitle, errors);
+      checkText(row?.description, `${rowLabel} description`, LIMITS.rowDescription, errors, { required: false });
+      rowIds.push(String(row?.id));
+
+      return {
+        id: String(row?.id || ''),
+        title: String(row?.title || ''),
+        ...(row?.description && { description: String(row.description) })
+      };
+    });
+
+    return {
+      ...(given.title && { title: String(given.title) }),
+      rows
+    };
+  });
+
+  if (rowIds.length > LIMITS.rows) {
+    errors.push(`at most ${LIMITS.rows} rows are allowed across all sections`);
+  }
+  if (new Set(rowIds).size < rowIds.length) {
+    errors.push('row ids must be unique');
+  }
+
+  return result;
+}
+
+// Text shown in the chat history for a sent menu
+function renderText(type, header, body, footer, options) {
+  const lines = [];
+  if (header?.type === 'text') lines.push(`*${header.text}*`);
+  else if (header) lines.push(`[${header.type.charAt(0).toUpperCase()}${header.type.slice(1)}]`);
+  lines.push(body);
+  if (footer) lines.push(`_${footer}_`);
+
+  if (type === 'button') {
+    lines.push(options.buttons.map(button => `[${button.title}]`).join(' '));
+  } else {
+    lines.push(`[☰ ${options.button}]`);
+    for (const section of options.sections) {
+      if (section.title) lines.push(`${section.title}:`);
+      section.rows.forEach(row => lines.push(`• ${row.title}`));
+    }
+  }
+
+  return lines.join('\n');
+}
+
+// Build and check an interactive message.
+// params: { type: 'button', body, header, footer, buttons: [{ id, title }] }
+//      or { type: 'list', body, header, footer, button, sections: [{ title, rows: [{ id, title, description }] }] }
+// Returns the Graph `interactive` object, the rendered text and the structure to store.
+function buildInteractiveMessage(params = {}) {
+  const { type, body, footer } = params;
+  const errors = [];
+
+  if (type !== 'button' && type !== 'list') {
+    throw validationError('Interactive type must be button or list');
+  }
+
+  checkText(body, 'body', LIMITS.body, errors);
+  checkText(footer, 'footer', LIMITS.footer, errors, { required: false });
+
+  const header = buildHeader(params.header, type === 'button' ? BUTTON_HEADER_TYPES : ['text'], errors);
+  let action;
+  let options;
+
+  if (type === 'button') {
+    const buttons = buildButtons(params.buttons, errors);
+    action = { buttons: buttons.map(button => ({ type: 'reply', reply: button })) };
+    options = { buttons };
+  } else {
+    checkText(params.button, 'list button text', LIMITS.listButton, errors);
+    const sections = buildSections(params.sections, errors);
+    action = { button: String(params.button || ''), sections };
+    options = { button: action.button, sections };
+  }
+
+  if (errors.length > 0) {
+    throw validationError(`Interactive ${type} message is invalid`, errors);
+  }
+
+  return {
+    interactive: {
+      type,
+      ...(header && { header }),
+      body: { text: String(body) },
+      ...(footer && { footer: { text: String(footer) } }),
+      action
+    },
+    renderedText: renderText(type, header, String(body), footer, options),
+    payload: {
+      interactiveType: type,
+      header,
+      body: String(body),
+      footer: footer || null,
+      ...options
+    }
+  };
+}
+
+// The option of a sent interactive message that a button_reply/list_reply picked
+function findInteractiveOption(payload, replyId) {
+  if (payload?.interactiveType === 'button') {
+    return (payload.buttons || []).find(button => button.id === replyId) || null;
+  }
+  if (payload?.interactiveType === 'list') {
+    for (const section of payload.sections || []) {
+      const row = section.rows.find(item => item.id === replyId);
+      if (row) return { ...row, section: section.title || null };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  INTERACTIVE_LIMITS: LIMITS,
+  buildInteractiveMessage,
+  findInteractiveOption
+};
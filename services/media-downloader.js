@@ -0,0 +1,117 @@
+// Downloads inbound WhatsApp media through the Graph media endpoint and
+// stores the bytes with the media repository.
+// 1. GET /{media-id} returns a short-lived URL plus mime type, size and sha256
+// 2. GET that URL (with the access token) returns the file itself
+
+const crypto = require('crypto');
+const { MEDIA_LIMITS, normalizeMimeType, checkMediaLimits } = require('./media-limits');
+
+const MAX_ATTEMPTS = parseInt(process.env.MEDIA_DOWNLOAD_ATTEMPTS) || 3;
+const RETRY_BASE_MS = parseInt(process.env.MEDIA_DOWNLOAD_RETRY_MS) || 1000;
+
+// Network errors, rate limits and server errors are worth retrying;
+// other Graph errors and failed checks are not
+function isRetryable(error) {
+  if (error.permanent) return false;
+  return error.retryable !== false;
+}
+
+function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function fetchMedia(whatsapp, mediaInfo) {
+  // Media metadata (the download URL expires after a few minutes)
+  const meta = await whatsapp.getMedia(mediaInfo.mediaId);
+  const mimeType = normalizeMimeType(meta.mime_type || mediaInfo.mimeType);
+
+  // Check before downloading so oversized files are never fetched
+  const problem = checkMediaLimits(mediaInfo.type, mimeType, parseInt(meta.file_size) || 0);
+  if (problem) throw permanentError(problem);
+
+  const { data } = await whatsapp.downloadMedia(meta.url, {
+    maxSize: MEDIA_LIMITS[mediaInfo.type].maxSize
+  });
+
+  // The size Meta reports can be missing, so check what we actually got
+  const sizeProblem = checkMediaLimits(mediaInfo.type, mimeType, data.length);
+  if (sizeProblem) throw permanentError(sizeProblem);
+
+  const sha256 = meta.sha256 || mediaInfo.sha256;
+  if (sha256 && crypto.createHash('sha256').update(data).digest('hex') !== sha256) {
+    throw new Error('Downloaded media does not match its sha256 checksum');
+  }
+
+  return { data, mimeType, sha256 };
+}
+
+function createMediaDownloader({ repositories, whatsapp }) {
+  return {
+    // Download the media of an inbound message and store it. A failed
+    // download is recorded on media_files. Returns null when the media can't
+    // be downloaded at all (too large, unknown to Meta...) and throws the last
+    // error when a later attempt may still succeed.
+    async downloadInboundMedia(mediaInfo, { whatsappMessageId, messageId }) {
+      let lastError;
+      let attempts = 0;
+
+      for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        attempts = attempt;
+        try {
+          const { data, mimeType, sha256 } = await fetchMedia(whatsapp, mediaInfo);
+
+          const saved = await repositories.media.save({
+            type: mediaInfo.type,
+            mimeType,
+            data,
+            fileName: mediaInfo.fileName,
+            whatsappMessageId,
+            whatsappMediaId: mediaInfo.mediaId,
+            messageId,
+            sha256,
+            attempts: attempt
+          });
+
+          console.log(`📥 Downloaded ${mediaInfo.type} ${mediaInfo.mediaId} (${data.length} bytes)`);
+          return saved;
+        } catch (error) {
+          lastError = error;
+
+          if (!isRetryable(error) || attempt === MAX_ATTEMPTS) break;
+
+          const delay = RETRY_BASE_MS * Math.pow(2, attempt - 1);
+          console.warn(`⚠️ Media download ${mediaInfo.mediaId} failed (attempt ${attempt}), retrying in ${delay}ms: ${error.message}`);
+          await sleep(delay);
+        }
+      }
+
+      console.error(`❌ Media download ${mediaInfo.mediaId} failed: ${lastError.message}`);
+
+      try {
+        await repositories.media.recordFailedDownload({
+          type: mediaInfo.type,
+          mimeType: mediaInfo.mimeType,
+          fileName: mediaInfo.fileName,
+          whatsappMessageId,
+          whatsappMediaId: mediaInfo.mediaId,
+          messageId,
+          attempts,
+          error: lastError.message
+        });
+      } catch (error) {
+        console.error('Failed to record media download failure:', error.message);
+      }
+
+      if (isRetryable(lastError)) throw lastError;
+      return null;
+    }
+  };
+}
+
+module.exports = { createMediaDownloader };
@@ -0,0 +1,69 @@
+// Size and mime type limits WhatsApp applies to each media type
+// https://developers.facebook.com/docs/whatsapp/cloud-api/reference/media#supported-media-types
+
+const MB = 1024 * 1024;
+
+const MEDIA_LIMITS = {
+  image: {
+    maxSize: 5 * MB,
+    mimeTypes: ['image/jpeg', 'image/png']
+  },
+  audio: {
+    maxSize: 16 * MB,
+    mimeTypes: ['audio/aac', 'audio/amr', 'audio/mpeg', 'audio/mp4', 'audio/ogg', 'audio/opus']
+  },
+  video: {
+    maxSize: 16 * MB,
+    mimeTypes: ['video/mp4', 'video/3gpp']
+  },
+  document: {
+    maxSize: 100 * MB,
+    mimeTypes: [
+      'text/plain',
+      'text/csv',
+      'application/pdf',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+    ]
+  },
+  sticker: {
+    // Animated stickers may be up to 500KB, static ones 100KB
+    maxSize: 500 * 1024,
+    mimeTypes: ['image/webp']
+  }
+};
+
+// "audio/ogg; codecs=opus" -> "audio/ogg"
+function normalizeMimeType(mimeType) {
+  return (mimeType || '').split(';')[0].trim().toLowerCase();
+}
+
+// Check a file against the limits for its media type.
+// Returns null when it's fine, otherwise a description of the problem.
+function checkMediaLimits(type, mimeType, size) {
+  const limits = MEDIA_LIMITS[type];
+  if (!limits) {
+    return `Unsupported media type: ${type}`;
+  }
+
+  const mime = normalizeMimeType(mimeType);
+  if (mime && !limits.mimeTypes.includes(mime)) {
+    return `Mime type ${mime} is not allowed for ${type} (allowed: ${limits.mimeTypes.join(', ')})`;
+  }
+
+  if (size && size > limits.maxSize) {
+    return `${type} is ${size} bytes, larger than the ${limits.maxSize} byte limit`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  MEDIA_LIMITS,
+  normalizeMimeType,
+  checkMediaLimits
+};
@@ -0,0 +1,144 @@
+// Fetching media links given to /api/send. Only http(s) URLs that resolve
+// to public addresses are fetched (no requests into our own network), and
+// downloads are streamed with a size cap instead of buffered whole.
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { MEDIA_LIMITS, normalizeMimeType } = require('./media-limits');
+
+// Largest link download, whatever the media type allows
+const MEDIA_LINK_MAX_SIZE = parseInt(process.env.MEDIA_LINK_MAX_SIZE) || 16 * 1024 * 1024;
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved
+// ranges. IPv4-compatible IPv6 addresses (::/96, e.g. ::127.0.0.1) are
+// blocked whole; IPv4-mapped ones are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+class MediaLinkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+// MEDIA_LINK_ALLOW_PRIVATE=true lifts the address check (local development)
+function isPublicAddress(address) {
+  if (process.env.MEDIA_LINK_ALLOW_PRIVATE === 'true') return true;
+
+  const family = net.isIP(address);
+  if (family === 0) return false;
+
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address
+  const mapped = family === 6 && address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return !BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+
+  return !BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Parse a media link and reject anything but http(s) to a public host.
+// Host names are checked again when they are resolved (see lookupPublic).
+function parseMediaLink(link) {
+  let url;
+  try {
+    url = new URL(link);
+  } catch (error) {
+    throw new MediaLinkError('mediaUrl is not a valid URL');
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new MediaLinkError('mediaUrl must be an http or https URL');
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw new MediaLinkError('mediaUrl must point to a public address');
+  }
+
+  return url;
+}
+
+// dns.lookup that refuses host names resolving to non-public addresses, so
+// a public name can't be pointed at an internal service
+function lookupPublic(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(new MediaLinkError(`mediaUrl host ${hostname} resolves to a non-public address`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: lookupPublic });
+const httpsAgent = new https.Agent({ lookup: lookupPublic });
+
+// Download a media link, up to the smaller of the media type's limit and
+// MEDIA_LINK_MAX_SIZE. Returns { data, mimeType }.
+async function fetchMediaLink(link, type) {
+  parseMediaLink(link);
+  const maxSize = Math.min(MEDIA_LIMITS[type]?.maxSize || MEDIA_LIMITS.document.maxSize, MEDIA_LINK_MAX_SIZE);
+
+  const response = await axios.get(link, {
+    responseType: 'stream',
+    timeout: 30000,
+    maxRedirects: 3,
+    httpAgent,
+    httpsAgent,
+    proxy: false,
+    // Redirect targets get the same protocol and address checks
+    beforeRedirect: (options) => {
+      parseMediaLink(options.href);
+    }
+  });
+
+  const stream = response.data;
+  const declaredSize = parseInt(response.headers['content-length']);
+  if (declaredSize > maxSize) {
+    stream.destroy();
+    throw new MediaLinkError(`media is larger than ${maxSize} bytes`);
+  }
+
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > maxSize) {
+      stream.destroy();
+      throw new MediaLinkError(`media is larger than ${maxSize} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  return {
+    data: Buffer.concat(chunks),
+    mimeType: normalizeMimeType(response.headers['content-type'])
+  };
+}
+
+module.exports = {
+  MEDIA_LINK_MAX_SIZE,
+  MediaLinkError,
+  isPublicAddress,
+  parseMediaLink,
+  fetchMediaLink
+};
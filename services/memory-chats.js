@@ -0,0 +1,62 @@
+// Chats kept in memory for backward compatibility: /api/chats falls back to
+// them when the database has none or can't be reached.
+
+const MAX_CHATS = 100;
+const MAX_MESSAGES_PER_CHAT = 200;
+
+function createMemoryChats() {
+  const chats = {};
+
+  return {
+    // Append a message, creating the chat the first time
+    add(phone, message, { name = null, at = new Date(), unread = false } = {}) {
+      if (!chats[phone]) {
+        chats[phone] = {
+          number: phone,
+          name: name || `+${phone}`,
+          messages: [],
+          unread: 0,
+          lastMessage: at
+        };
+      }
+
+      chats[phone].messages.push(message);
+      chats[phone].lastMessage = at;
+      if (unread) chats[phone].unread++;
+    },
+
+    list() {
+      return Object.values(chats);
+    },
+
+    count() {
+      return Object.keys(chats).length;
+    },
+
+    // A chat's messages, marking it read; empty for an unknown chat
+    open(phone) {
+      if (!chats[phone]) return [];
+      chats[phone].unread = 0;
+      return chats[phone].messages;
+    },
+
+    // Keep the most recent chats and messages only
+    cleanup() {
+      const chatNumbers = Object.keys(chats);
+      if (chatNumbers.length > MAX_CHATS) {
+        const sorted = chatNumbers.sort((a, b) =>
+          new Date(chats[b].lastMessage) - new Date(chats[a].lastMessage)
+        );
+        sorted.slice(MAX_CHATS).forEach(num => delete chats[num]);
+      }
+
+      Object.values(chats).forEach(chat => {
+        if (chat.messages.length > MAX_MESSAGES_PER_CHAT) {
+          chat.messages = chat.messages.slice(-MAX_MESSAGES_PER_CHAT);
+        }
+      });
+    }
+  };
+}
+
+module.exports = { createMemoryChats };
@@ -0,0 +1,172 @@
+// Turns an inbound WhatsApp Cloud API message into the fields we store:
+// a readable text for `content`, a short preview for `chats.last_message`,
+// the structured payload and, for media messages, the media info.
+
+const MEDIA_TYPES = ['image', 'audio', 'video', 'document', 'sticker'];
+
+const MEDIA_LABELS = {
+  image: '🖼️ Image',
+  audio: '🎵 Audio Message',
+  video: '🎬 Video',
+  document: '📄 Document',
+  sticker: '💟 Sticker'
+};
+
+function truncate(text, length) {
+  if (!text) return text;
+  return text.length > length ? `${text.substring(0, length - 1)}…` : text;
+}
+
+function parseMedia(message) {
+  const media = message[message.type] || {};
+
+  const mediaInfo = {
+    type: message.type,
+    mediaId: media.id || null,
+    mimeType: media.mime_type || null,
+    sha256: media.sha256 || null,
+    caption: media.caption || null,
+    fileName: media.filename || null
+  };
+  if (message.type === 'audio') mediaInfo.voice = !!media.voice;
+  if (message.type === 'sticker') mediaInfo.animated = !!media.animated;
+
+  let content = MEDIA_LABELS[message.type];
+  if (mediaInfo.fileName) content += ` (${mediaInfo.fileName})`;
+  if (mediaInfo.caption) content += `: ${mediaInfo.caption}`;
+
+  return {
+    content,
+    payload: null,
+    mediaInfo
+  };
+}
+
+function parseLocation(message) {
+  const location = message.location || {};
+  const payload = {
+    latitude: location.latitude,
+    longitude: location.longitude,
+    name: location.name || null,
+    address: location.address || null,
+    url: location.url || null
+  };
+
+  const label = [payload.name, payload.address].filter(Boolean).join(', ') ||
+    `${payload.latitude}, ${payload.longitude}`;
+
+  return {
+    content: `📍 Location: ${label}`,
+    payload
+  };
+}
+
+function parseContacts(message) {
+  const contacts = (message.contacts || []).map(contact => ({
+    name: contact.name?.formatted_name ||
+      [contact.name?.first_name, contact.name?.last_name].filter(Boolean).join(' ') ||
+      null,
+    phones: (contact.phones || []).map(phone => ({
+      phone: phone.phone,
+      waId: phone.wa_id || null,
+      type: phone.type || null
+    })),
+    emails: (contact.emails || []).map(email => email.email),
+    organization: contact.org?.company || null,
+    raw: contact
+  }));
+
+  const names = contacts.map(contact => contact.name || contact.phones[0]?.phone || 'Unknown');
+  const content = contacts.length === 1
+    ? `👤 Contact: ${names[0]}`
+    : `👥 ${contacts.length} contacts: ${names.join(', ')}`;
+
+  return {
+    content,
+    payload: { contacts }
+  };
+}
+
+function parseInteractive(message) {
+  const interactive = message.interactive || {};
+  const reply = interactive[interactive.type] || {};
+
+  return {
+    content: reply.title || '[Interactive reply]',
+    payload: {
+      interactiveType: interactive.type,
+      id: reply.id || null,
+      title: reply.title || null,
+      description: reply.description || null
+    }
+  };
+}
+
+// Quick-reply button on a template message
+function parseButton(message) {
+  const button = message.button || {};
+
+  return {
+    content: button.text || '[Button reply]',
+    payload: {
+      text: button.text || null,
+      payload: button.payload || null
+    }
+  };
+}
+
+function parseReaction(message) {
+  const reaction = message.reaction || {};
+
+  return {
+    content: reaction.emoji ? `Reacted ${reaction.emoji}` : 'Removed reaction',
+    payload: {
+      messageId: reaction.message_id || null,
+      emoji: reaction.emoji || null
+    }
+  };
+}
+
+// Parse an inbound message. Messages without a type (e.g. simulated ones)
+// are treated as text.
+function parseIncomingMessage(message) {
+  const type = message.type || (message.text ? 'text' : 'unknown');
+  let parsed;
+
+  if (type === 'text') {
+    parsed = {
+      content: message.text?.body || '',
+      payload: null
+    };
+  } else if (MEDIA_TYPES.includes(type)) {
+    parsed = parseMedia({ ...message, type });
+  } else if (type === 'location') {
+    parsed = parseLocation(message);
+  } else if (type === 'contacts') {
+    parsed = parseContacts(message);
+  } else if (type === 'interactive') {
+    parsed = parseInteractive(message);
+  } else if (type === 'button') {
+    parsed = parseButton(message);
+  } else if (type === 'reaction') {
+    parsed = parseReaction(message);
+  } else {
+    parsed = {
+      content: '[Unsupported message]',
+      payload: message[type] || message.errors || null
+    };
+  }
+
+  return {
+    type,
+    content: parsed.content,
+    preview: truncate(parsed.content, 200),
+    payload: parsed.payload,
+    mediaInfo: parsed.mediaInfo || null
+  };
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  parseIncomingMessage
+};
@@ -0,0 +1,282 @@
+// Versioned schema migrations.
+// Each file in migrations/ is named NNN_description.sql and has a
+// `-- migrate:up` section and an optional `-- migrate:down` section, marked
+// `-- migrate:down destructive` when it throws data away (down() refuses
+// those unless forced). Applied versions are recorded in schema_migrations
+// with a checksum of the file, so a migration edited after it ran is
+// reported instead of databases quietly drifting apart. Every migration runs
+// in its own transaction, and an advisory lock keeps two instances starting
+// together from racing.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+const SECTION_PATTERN = /^--\s*migrate:(up|down)(\s+destructive)?\s*$/gm;
+
+// pg_advisory_lock key held while migrating
+const LOCK_KEY = 7410583;
+
+// 7, 'templates' -> '007_templates', as in the file name
+function formatMigration(version, name) {
+  return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+function migrationError(message, code, details = []) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+// Split a migration file into its up and down SQL
+function parseMigration(fileName, source) {
+  const [, version, name] = fileName.match(FILE_PATTERN);
+  const normalized = source.replace(/\r\n/g, '\n');
+  const sections = { up: null, down: null };
+  let destructiveDown = false;
+
+  const markers = [...normalized.matchAll(SECTION_PATTERN)];
+  markers.forEach((marker, index) => {
+    const start = marker.index + marker[0].length;
+    const end = index + 1 < markers.length ? markers[index + 1].index : normalized.length;
+    sections[marker[1]] = normalized.slice(start, end).trim() || null;
+    if (marker[1] === 'down') destructiveDown = !!marker[2];
+  });
+
+  if (!sections.up) {
+    throw migrationError(`Migration ${fileName} has no -- migrate:up section`, 'MIGRATION_INVALID');
+  }
+
+  return {
+    version: parseInt(version, 10),
+    name,
+    fileName,
+    checksum: crypto.createHash('sha256').update(normalized).digest('hex'),
+    up: sections.up,
+    down: sections.down,
+    destructiveDown
+  };
+}
+
+// Every migration file in the directory, oldest first
+function loadMigrations(directory = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(directory)
+    .filter(fileName => FILE_PATTERN.test(fileName))
+    .map(fileName => parseMigration(fileName, fs.readFileSync(path.join(directory, fileName), 'utf8')))
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw migrationError(
+        `Migrations ${migrations[i - 1].fileName} and ${migrations[i].fileName} share version ${migrations[i].version}`,
+        'MIGRATION_INVALID'
+      );
+    }
+  }
+
+  return migrations;
+}
+
+function createMigrator({ pool, directory = MIGRATIONS_DIR, log = console.log }) {
+  async function ensureTable(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        execution_ms INTEGER,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async function getApplied(client) {
+    const result = await client.query('SELECT * FROM schema_migrations ORDER BY version');
+    return result.rows;
+  }
+
+  // Compare the files with what the database has applied
+  function compare(migrations, applied) {
+    const files = new Map(migrations.map(migration => [migration.version, migration]));
+    const appliedVersions = new Set(applied.map(row => row.version));
+
+    return {
+      pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+      changed: applied.filter(row => files.has(row.version) && files.get(row.version).checksum !== row.checksum),
+      // Applied by a newer release whose files aren't here
+      unknown: applied.filter(row => !files.has(row.version))
+    };
+  }
+
+  // Run fn on one connection while holding the migration lock. Messages a
+  // migration RAISEs as NOTICE (e.g. rows it archived) are logged; Postgres'
+  // own "already exists, skipping" notices are not.
+  async function withLock(fn) {
+    const client = await pool.connect();
+    const logNotice = notice => {
+      if (/\bat RAISE$/.test(notice.where || '')) log(`📝 ${notice.message}`);
+    };
+    client.on('notice', logNotice);
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+      try {
+        await ensureTable(client);
+        return await fn(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+      }
+    } finally {
+      client.removeListener('notice', logNotice);
+      client.release();
+    }
+  }
+
+  async function runInTransaction(client, sql, record) {
+    const startedAt = Date.now();
+    await client.query('BEGIN');
+    try {
+      await client.query(sql);
+      await record(Date.now() - startedAt);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  }
+
+  function assertUnchanged(changed) {
+    if (changed.length > 0) {
+      throw migrationError(
+        'Applied migrations were changed after they ran',
+        'MIGRATION_CHECKSUM_MISMATCH',
+        changed.map(row => formatMigration(row.version, row.name))
+      );
+    }
+  }
+
+  return {
+    // One row per migration known to the files or the database
+    async status() {
+      const migrations = loadMigrations(directory);
+      return withLock(async client => {
+        const applied = await getApplied(client);
+        const { changed, unknown } = compare(migrations, applied);
+        const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+        const rows = migrations.map(migration => {
+          const row = appliedByVersion.get(migration.version);
+          return {
+            version: migration.version,
+            name: migration.name,
+            state: !row ? 'pending' : changed.includes(row) ? 'changed' : 'applied',
+            appliedAt: row?.applied_at || null
+          };
+        });
+
+        for (const row of unknown) {
+          rows.push({ version: row.version, name: row.name, state: 'missing file', appliedAt: row.applied_at });
+        }
+
+        return rows.sort((a, b) => a.version - b.version);
+      });
+    },
+
+    // { pending, changed, unknown } without changing anything
+    async check() {
+      const migrations = loadMigrations(directory);
+      return withLock(async client => compare(migrations, await getApplied(client)));
+    },
+
+    // Throws unless every migration is applied and unchanged
+    async assertUpToDate() {
+      const { pending, changed } = await this.check();
+      assertUnchanged(changed);
+
+      if (pending.length > 0) {
+        throw migrationError(
+          `${pending.length} migration(s) not applied; run npm run migrate`,
+          'MIGRATIONS_PENDING',
+          pending.map(migration => migration.fileName)
+        );
+      }
+    },
+
+    // Apply pending migrations in order, up to and including version `to`.
+    // Returns the migrations applied.
+    async up({ to = null } = {}) {
+      const migrations = loadMigrations(directory);
+
+      return withLock(async client => {
+        const { pending, changed, unknown } = compare(migrations, await getApplied(client));
+        assertUnchanged(changed);
+
+        if (unknown.length > 0) {
+          log(`⚠️ Database has migrations without a file here: ${unknown.map(row => formatMigration(row.version, row.name)).join(', ')}`);
+        }
+
+        const toApply = pending.filter(migration => to === null || migration.version <= to);
+        for (const migration of toApply) {
+          await runInTransaction(client, migration.up, executionMs => client.query(
+            `INSERT INTO schema_migrations (version, name, checksum, execution_ms)
+             VALUES ($1, $2, $3, $4)`,
+            [migration.version, migration.name, migration.checksum, executionMs]
+          ));
+          log(`🗄️ Applied migration ${migration.fileName}`);
+        }
+
+        return toApply;
+      });
+    },
+
+    // Revert the last `steps` applied migrations, or every one after version
+    // `to`. Destructive down sections only run with force. Returns the
+    // migrations reverted.
+    async down({ steps = 1, to = null, force = false } = {}) {
+      const migrations = loadMigrations(directory);
+      const files = new Map(migrations.map(migration => [migration.version, migration]));
+
+      return withLock(async client => {
+        const applied = (await getApplied(client)).reverse();
+        const toRevert = to === null
+          ? applied.slice(0, steps)
+          : applied.filter(row => row.version > to);
+
+        // Check everything first so a rollback doesn't stop halfway
+        const problems = [];
+        for (const row of toRevert) {
+          const migration = files.get(row.version);
+          if (!migration) problems.push(`${formatMigration(row.version, row.name)} has no file`);
+          else if (migration.checksum !== row.checksum) problems.push(`${migration.fileName} was changed after it ran`);
+          else if (!migration.down) problems.push(`${migration.fileName} has no -- migrate:down section`);
+          else if (migration.destructiveDown && !force) problems.push(`${migration.fileName} deletes data when rolled back; pass --force to do it anyway`);
+        }
+        if (problems.length > 0) {
+          throw migrationError('Cannot roll back', 'MIGRATION_IRREVERSIBLE', problems);
+        }
+
+        const reverted = [];
+        for (const row of toRevert) {
+          const migration = files.get(row.version);
+          await runInTransaction(client, migration.down, () => client.query(
+            'DELETE FROM schema_migrations WHERE version = $1',
+            [migration.version]
+          ));
+          log(`↩️ Reverted migration ${migration.fileName}`);
+          reverted.push(migration);
+        }
+
+        return reverted;
+      });
+    }
+  };
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  formatMigration,
+  loadMigrations,
+  createMigrator
+};
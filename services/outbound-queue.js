@@ -0,0 +1,312 @@
+// Outbound message queue.
+// Messages to send are written to outbound_messages and a dispatcher sends
+// them through the Graph API at no more than OUTBOUND_RATE_PER_SECOND,
+// retrying rate limits, server errors and network failures with exponential
+// backoff. Only the oldest unsent message for each recipient is picked up at
+// a time, so every customer receives their messages in order.
+// Messages can also be scheduled: they wait as 'scheduled' until send_at and
+// are then queued like any other message, so schedules survive restarts.
+
+const { EventEmitter } = require('events');
+
+const DEFAULT_OPTIONS = {
+  pollIntervalMs: parseInt(process.env.OUTBOUND_WORKER_INTERVAL_MS) || 1000,
+  ratePerSecond: parseFloat(process.env.OUTBOUND_RATE_PER_SECOND) || 20,
+  maxAttempts: parseInt(process.env.OUTBOUND_MAX_ATTEMPTS) || 5,
+  retryBaseMs: parseInt(process.env.OUTBOUND_RETRY_BASE_MS) || 2000,
+  retryMaxMs: 5 * 60 * 1000,
+  // Messages left in 'sending' longer than this (e.g. after a crash) are picked up again
+  lockTimeoutMs: 2 * 60 * 1000
+};
+
+// send() throws WhatsApp client errors, which know whether they are worth
+// retrying (network errors, rate limits and server errors)
+function isRetryable(error) {
+  return error.retryable === true;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createOutboundQueue({ pool, send, onSent, onFailed, options = {} }) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const minIntervalMs = 1000 / config.ratePerSecond;
+  const batchSize = Math.max(1, Math.ceil(config.ratePerSecond));
+  const finished = new EventEmitter();
+  finished.setMaxListeners(0);
+
+  let timer = null;
+  let running = false;
+  let rerun = false;
+  let lastSendAt = 0;
+
+  // Delay before the next attempt: base * 2^(attempts - 1), capped
+  function getRetryDelay(attempts) {
+    return Math.min(config.retryBaseMs * Math.pow(2, attempts - 1), config.retryMaxMs);
+  }
+
+  // Queue scheduled messages whose send_at has arrived
+  async function queueDueScheduled() {
+    const result = await pool.query(
+      `UPDATE outbound_messages
+       SET status = 'queued',
+           next_attempt_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'scheduled'
+         AND send_at <= CURRENT_TIMESTAMP
+       RETURNING id`
+    );
+
+    if (result.rows.length > 0) {
+      console.log(`⏰ ${result.rows.length} scheduled message(s) due, queued for sending`);
+    }
+  }
+
+  // Claim the oldest due message of each recipient. A recipient whose oldest
+  // message is still being sent or waiting for a retry is skipped entirely.
+  async function claimMessages() {
+    const result = await pool.query(
+      `UPDATE outbound_messages
+       SET status = 'sending',
+           attempts = attempts + 1,
+           locked_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT o.id FROM outbound_messages o
+         WHERE o.id IN (
+             SELECT DISTINCT ON (to_phone) id
+             FROM outbound_messages
+             WHERE status IN ('queued', 'sending')
+             ORDER BY to_phone, id
+           )
+           AND ((o.status = 'queued' AND o.next_attempt_at <= CURRENT_TIMESTAMP)
+             OR (o.status = 'sending' AND o.locked_at < CURRENT_TIMESTAMP - ($2 * INTERVAL '1 millisecond')))
+         ORDER BY o.id
+         LIMIT $1
+         FOR UPDATE OF o SKIP LOCKED
+       )
+       RETURNING *`,
+      [batchSize, config.lockTimeoutMs]
+    );
+    return result.rows.sort((a, b) => a.id - b.id);
+  }
+
+  async function markSent(job, data) {
+    const result = await pool.query(
+      `UPDATE outbound_messages
+       SET status = 'sent',
+           whatsapp_message_id = $2,
+           graph_response = $3,
+           last_error = NULL,
+           locked_at = NULL,
+           sent_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [job.id, data.messages?.[0]?.id || null, JSON.stringify(data)]
+    );
+    return result.rows[0];
+  }
+
+  async function markFailed(job, error) {
+    const retry = isRetryable(error) && job.attempts < config.maxAttempts;
+    const delay = getRetryDelay(job.attempts);
+    const details = error.body || null;
+
+    const result = await pool.query(
+      `UPDATE outbound_messages
+       SET status = $2,
+           last_error = $3,
+           graph_response = $4,
+           next_attempt_at = CURRENT_TIMESTAMP + ($5 * INTERVAL '1 millisecond'),
+           locked_at = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [
+        job.id,
+        retry ? 'queued' : 'failed',
+        details?.error?.message || error.message,
+        details ? JSON.stringify(details) : null,
+        delay
+      ]
+    );
+
+    if (retry) {
+      console.error(`🔁 Outbound message ${job.id} to ${job.to_phone} failed (attempt ${job.attempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+    } else {
+      console.error(`❌ Outbound message ${job.id} to ${job.to_phone} failed after ${job.attempts} attempt(s): ${details?.error?.message || error.message}`);
+    }
+
+    return retry ? null : result.rows[0];
+  }
+
+  async function dispatch(job) {
+    let done;
+    try {
+      const data = await send(job.payload);
+      done = await markSent(job, data);
+
+      try {
+        await onSent(done, data);
+      } catch (error) {
+        console.error(`Error recording sent outbound message ${job.id}:`, error.message);
+      }
+    } catch (error) {
+      done = await markFailed(job, error);
+
+      if (done) {
+        try {
+          await onFailed(done, error);
+        } catch (callbackError) {
+          console.error(`Error recording failed outbound message ${job.id}:`, callbackError.message);
+        }
+      }
+    }
+
+    if (done) finished.emit(String(job.id), done);
+  }
+
+  // Send due messages until none are left, spacing sends to respect the rate limit
+  async function drain() {
+    if (running) {
+      rerun = true;
+      return;
+    }
+    running = true;
+
+    try {
+      await queueDueScheduled();
+
+      do {
+        rerun = false;
+        const jobs = await claimMessages();
+        const inFlight = [];
+
+        for (const job of jobs) {
+          const wait = lastSendAt + minIntervalMs - Date.now();
+          if (wait > 0) await sleep(wait);
+          lastSendAt = Date.now();
+
+          inFlight.push(dispatch(job).catch(error => {
+            console.error(`❌ Outbound dispatch error for ${job.id}:`, error.message);
+          }));
+        }
+
+        await Promise.all(inFlight);
+
+        if (jobs.length > 0) rerun = true;
+      } while (rerun);
+    } catch (error) {
+      console.error('❌ Outbound dispatcher error:', error.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    // Queue a Graph message payload for `to`; messageId is the messages row it
+    // belongs to. With delayMs it is scheduled for that much later instead.
+    async enqueue({ to, payload, messageId = null, delayMs = 0 }) {
+      const scheduled = delayMs > 0;
+      const result = await pool.query(
+        `INSERT INTO outbound_messages (to_phone, payload, message_id, status, send_at)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + ($5 * INTERVAL '1 millisecond'))
+         RETURNING *`,
+        [to, JSON.stringify(payload), messageId, scheduled ? 'scheduled' : 'queued', scheduled ? delayMs : 0]
+      );
+
+      // Don't wait for the next poll
+      if (!scheduled) setImmediate(drain);
+
+      return result.rows[0];
+    },
+
+    // Change when (delayMs from now) or what (payload) a scheduled message
+    // sends. Returns null once it is no longer scheduled.
+    async reschedule(messageId, { delayMs = null, payload = null }) {
+      const result = await pool.query(
+        `UPDATE outbound_messages
+         SET send_at = CASE WHEN $2::numeric IS NULL THEN send_at
+                            ELSE CURRENT_TIMESTAMP + ($2 * INTERVAL '1 millisecond') END,
+             payload = COALESCE($3, payload),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE message_id = $1
+           AND status = 'scheduled'
+         RETURNING *`,
+        [messageId, delayMs, payload ? JSON.stringify(payload) : null]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Cancel a scheduled message. Returns null once it is no longer scheduled.
+    async cancel(messageId) {
+      const result = await pool.query(
+        `UPDATE outbound_messages
+         SET status = 'cancelled',
+             updated_at = CURRENT_TIMESTAMP
+         WHERE message_id = $1
+           AND status = 'scheduled'
+         RETURNING *`,
+        [messageId]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Resolves with the final row once this process has sent (or given up on)
+    // the message, or null if that takes longer than timeoutMs
+    waitFor(id, timeoutMs) {
+      return new Promise(resolve => {
+        const key = String(id);
+        const timeout = setTimeout(() => {
+          finished.removeListener(key, onDone);
+          resolve(null);
+        }, timeoutMs);
+
+        function onDone(job) {
+          clearTimeout(timeout);
+          resolve(job);
+        }
+
+        finished.once(key, onDone);
+      });
+    },
+
+    async get(id) {
+      const result = await pool.query(
+        'SELECT * FROM outbound_messages WHERE id = $1',
+        [id]
+      );
+      return result.rows[0] || null;
+    },
+
+    async list({ status = null, to = null, limit = 100 } = {}) {
+      const result = await pool.query(
+        `SELECT * FROM outbound_messages
+         WHERE ($1::text IS NULL OR status = $1)
+           AND ($2::text IS NULL OR to_phone = $2)
+         ORDER BY id DESC
+         LIMIT $3`,
+        [status, to, limit]
+      );
+      return result.rows;
+    },
+
+    start() {
+      if (timer) return;
+      timer = setInterval(drain, config.pollIntervalMs);
+      console.log(`📤 Outbound dispatcher started (${config.ratePerSecond} msg/s, max ${config.maxAttempts} attempts)`);
+      drain();
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+
+    drain
+  };
+}
+
+module.exports = { createOutboundQueue };
@@ -0,0 +1,18 @@
+// WhatsApp only allows free-form messages within 24 hours of the customer's
+// last message; after that only approved templates can be sent
+
+const SERVICE_WINDOW_HOURS = 24;
+
+// { open, expiresAt } for a chat row (closed when there is no chat)
+function getServiceWindow(chat) {
+  const expiresAt = chat?.service_window_expires_at || null;
+  return {
+    open: !!expiresAt && new Date(expiresAt) > new Date(),
+    expiresAt: expiresAt
+  };
+}
+
+module.exports = {
+  SERVICE_WINDOW_HOURS,
+  getServiceWindow
+};
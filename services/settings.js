@@ -0,0 +1,78 @@
+// Workspace settings stored in the database, so they can be changed from the
+// admin API without a restart and are read fresh on every request. Settings
+// never saved fall back to their default, usually taken from the environment.
+
+const SETTINGS = {
+  // Read receipts (blue ticks) for customers' messages; turning them off also
+  // disables typing indicators. READ_RECEIPTS=false changes the default.
+  read_receipts: {
+    type: 'boolean',
+    default: () => process.env.READ_RECEIPTS !== 'false'
+  }
+};
+
+class SettingValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+function createSettings({ pool }) {
+  return {
+    async get(key) {
+      if (!SETTINGS[key]) throw new Error(`Unknown setting: ${key}`);
+
+      const result = await pool.query('SELECT value FROM settings WHERE key = $1', [key]);
+      return result.rows.length > 0 ? result.rows[0].value : SETTINGS[key].default();
+    },
+
+    // Every setting with its current value and whether it was changed from the default
+    async getAll() {
+      const result = await pool.query('SELECT key, value, updated_by, updated_at FROM settings');
+      const stored = Object.fromEntries(result.rows.map(row => [row.key, row]));
+
+      return Object.keys(SETTINGS).map(key => ({
+        key,
+        value: stored[key] ? stored[key].value : SETTINGS[key].default(),
+        isDefault: !stored[key],
+        updatedBy: stored[key]?.updated_by || null,
+        updatedAt: stored[key]?.updated_at || null
+      }));
+    },
+
+    // Save several settings at once; throws SettingValidationError before
+    // saving anything when a key is unknown or a value has the wrong type
+    async update(values, { changedBy = null } = {}) {
+      for (const [key, value] of Object.entries(values)) {
+        if (!SETTINGS[key]) {
+          throw new SettingValidationError(`Unknown setting: ${key} (known: ${Object.keys(SETTINGS).join(', ')})`);
+        }
+        if (typeof value !== SETTINGS[key].type) {
+          throw new SettingValidationError(`${key} must be a ${SETTINGS[key].type}`);
+        }
+      }
+
+      for (const [key, value] of Object.entries(values)) {
+        await pool.query(
+          `INSERT INTO settings (key, value, updated_by, updated_at)
+           VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+           ON CONFLICT (key) DO UPDATE
+           SET value = EXCLUDED.value,
+               updated_by = EXCLUDED.updated_by,
+               updated_at = EXCLUDED.updated_at`,
+          [key, JSON.stringify(value), changedBy]
+        );
+        console.log(`⚙️ Setting ${key} changed to ${JSON.stringify(value)}${changedBy ? ` by ${changedBy}` : ''}`);
+      }
+
+      return this.getAll();
+    }
+  };
+}
+
+module.exports = {
+  SETTINGS,
+  SettingValidationError,
+  createSettings
+};
@@ -0,0 +1,81 @@
+// Media storage backends. MEDIA_STORAGE_DRIVER picks where new media is
+// written ('local' by default, or 's3'); existing media_files rows remember
+// which driver holds them, so both can be read at the same time.
+
+const path = require('path');
+const crypto = require('crypto');
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+const DRIVERS = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+const instances = {};
+
+function getStorage(name = process.env.MEDIA_STORAGE_DRIVER || 'local') {
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown media storage driver: ${name}`);
+  }
+  if (!instances[name]) {
+    instances[name] = DRIVERS[name]();
+  }
+  return instances[name];
+}
+
+// Storage driver and key for a media_files row. Rows written before storage
+// drivers existed only have a local file_path.
+function resolveMediaLocation(media) {
+  if (media.storage_key) {
+    return { storage: getStorage(media.storage_driver || 'local'), key: media.storage_key };
+  }
+
+  const storage = getStorage('local');
+  return { storage, key: path.relative(storage.root, media.file_path) };
+}
+
+// ---- Signed /api/media URLs (used when the driver can't presign itself) ----
+
+function isMediaUrlSigningConfigured() {
+  return !!process.env.MEDIA_URL_SECRET;
+}
+
+function getUrlSecret() {
+  const secret = process.env.MEDIA_URL_SECRET;
+  if (!secret) {
+    throw new Error('MEDIA_URL_SECRET is not configured');
+  }
+  return secret;
+}
+
+function signMediaId(id, expires) {
+  return crypto
+    .createHmac('sha256', getUrlSecret())
+    .update(`${id}:${expires}`)
+    .digest('hex');
+}
+
+// Expiring /api/media/:id URL that works without an Authorization header
+function createSignedMediaPath(id, expiresIn) {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  return `/api/media/${id}?expires=${expires}&signature=${signMediaId(id, expires)}`;
+}
+
+function verifyMediaSignature(id, expires, signature) {
+  if (!expires || !signature || !isMediaUrlSigningConfigured()) return false;
+  if (parseInt(expires) < Math.floor(Date.now() / 1000)) return false;
+  if (!/^[0-9a-f]{64}$/i.test(String(signature))) return false;
+
+  const expected = Buffer.from(signMediaId(id, expires), 'hex');
+  const received = Buffer.from(String(signature), 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = {
+  getStorage,
+  resolveMediaLocation,
+  createSignedMediaPath,
+  verifyMediaSignature,
+  isMediaUrlSigningConfigured
+};
@@ -0,0 +1,56 @@
+// Local filesystem storage driver.
+// Keys are paths relative to the media root (MEDIA_UPLOAD_DIR).
+
+const fs = require('fs');
+const path = require('path');
+
+function createLocalStorage({ root = process.env.MEDIA_UPLOAD_DIR || 'uploads/media' } = {}) {
+  const resolveKey = (key) => path.join(root, key);
+
+  return {
+    name: 'local',
+    root,
+
+    // Where the file for a key lives on disk
+    resolvePath: resolveKey,
+
+    async put(key, data) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, data);
+      return { key, size: data.length, location: filePath };
+    },
+
+    async stat(key) {
+      try {
+        const stats = await fs.promises.stat(resolveKey(key));
+        return { size: stats.size, lastModified: stats.mtime };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    // Readable stream of the file, optionally limited to a byte range
+    async createReadStream(key, { start, end } = {}) {
+      return fs.createReadStream(resolveKey(key), { start, end });
+    },
+
+    async read(key) {
+      return fs.promises.readFile(resolveKey(key));
+    },
+
+    async delete(key) {
+      await fs.promises.unlink(resolveKey(key)).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    },
+
+    // Local files are only reachable through /api/media, which signs its own URLs
+    async getSignedUrl() {
+      return null;
+    }
+  };
+}
+
+module.exports = { createLocalStorage };
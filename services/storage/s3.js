@@ -0,0 +1,105 @@
+// S3-compatible storage driver (AWS S3, MinIO, ...).
+// Configured with S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID,
+// S3_SECRET_ACCESS_KEY and S3_FORCE_PATH_STYLE (needed for MinIO).
+
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+function createS3Storage(options = {}) {
+  const bucket = options.bucket || process.env.S3_BUCKET;
+  const prefix = options.prefix ?? process.env.S3_PREFIX ?? 'media/';
+
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 media storage driver');
+  }
+
+  const credentials = (options.accessKeyId || process.env.S3_ACCESS_KEY_ID)
+    ? {
+      accessKeyId: options.accessKeyId || process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: options.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY
+    }
+    : undefined;
+
+  const client = new S3Client({
+    region: options.region || process.env.S3_REGION || 'us-east-1',
+    endpoint: options.endpoint || process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: options.forcePathStyle ?? process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials
+  });
+
+  const objectKey = (key) => `${prefix}${key}`;
+
+  return {
+    name: 's3',
+    bucket,
+
+    async put(key, data, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: data,
+        ContentType: contentType,
+        ContentLength: data.length
+      }));
+      return { key, size: data.length, location: `s3://${bucket}/${objectKey(key)}` };
+    },
+
+    async stat(key) {
+      try {
+        const head = await client.send(new HeadObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key)
+        }));
+        return { size: head.ContentLength, lastModified: head.LastModified };
+      } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    async createReadStream(key, { start, end } = {}) {
+      const response = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Range: start !== undefined ? `bytes=${start}-${end ?? ''}` : undefined
+      }));
+      return response.Body;
+    },
+
+    async read(key) {
+      const response = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key)
+      }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key)
+      }));
+    },
+
+    // Presigned GET URL that expires after `expiresIn` seconds
+    async getSignedUrl(key, { expiresIn, fileName, contentType, disposition = 'inline' } = {}) {
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        ResponseContentType: contentType,
+        ResponseContentDisposition: fileName
+          ? `${disposition}; filename*=UTF-8''${encodeURIComponent(fileName)}`
+          : undefined
+      });
+      return getSignedUrl(client, command, { expiresIn });
+    }
+  };
+}
+
+module.exports = { createS3Storage };
@@ -0,0 +1,287 @@
+// Registry of approved WhatsApp message templates.
+// Templates are synced from the WABA's message_templates Graph endpoint into
+// the templates table, then filled in and checked locally before sending so
+// mistakes are caught before they reach the API.
+
+// Header formats that take a media parameter
+const MEDIA_HEADER_FORMATS = ['IMAGE', 'VIDEO', 'DOCUMENT'];
+
+function validationError(message, details = []) {
+  const error = new Error(message);
+  error.code = 'TEMPLATE_INVALID';
+  error.details = details;
+  return error;
+}
+
+// Placeholders in a template text: {{1}}, {{2}} or {{first_name}}
+function getPlaceholders(text) {
+  const names = [];
+  for (const match of (text || '').matchAll(/\{\{\s*([\w]+)\s*\}\}/g)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+function fillPlaceholders(text, values) {
+  return (text || '').replace(/\{\{\s*([\w]+)\s*\}\}/g, (placeholder, name) =>
+    values[name] !== undefined ? String(values[name]) : placeholder
+  );
+}
+
+// Parameters may be given as an array (positional, {{1}} = first item)
+// or an object keyed by placeholder name
+function toParameterMap(placeholders, params) {
+  if (Array.isArray(params)) {
+    const values = {};
+    placeholders.forEach((name, index) => {
+      // Positional templates number from 1, named ones follow array order
+      const position = /^\d+$/.test(name) ? parseInt(name) - 1 : index;
+      if (params[position] !== undefined) values[name] = params[position];
+    });
+    return values;
+  }
+  return params || {};
+}
+
+// WhatsApp rejects text parameters with newlines, tabs or more than four spaces in a row
+function checkTextParameter(value, label, errors) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    errors.push(`${label} is required`);
+  } else if (/[\n\t]/.test(String(value)) || / {5,}/.test(String(value))) {
+    errors.push(`${label} cannot contain new lines, tabs or more than 4 consecutive spaces`);
+  }
+}
+
+function textParameter(name, value, named) {
+  const parameter = { type: 'text', text: String(value) };
+  if (named) parameter.parameter_name = name;
+  return parameter;
+}
+
+// Header media parameter: { link } or { id }, optionally a filename for documents
+function mediaParameter(format, value) {
+  const type = format.toLowerCase();
+  const media = typeof value === 'string' ? { link: value } : { ...value };
+  return { type, [type]: media };
+}
+
+// Fill in a template and check every parameter.
+// params: { header, body, buttons } where buttons is an array indexed like the
+// template's buttons. Returns the Graph `template` object and the rendered text.
+function buildTemplateMessage(template, params = {}) {
+  const components = template.components || [];
+  const named = template.parameter_format === 'NAMED';
+  const errors = [];
+  const graphComponents = [];
+  const rendered = [];
+
+  for (const component of components) {
+    const type = component.type?.toUpperCase();
+
+    if (type === 'HEADER') {
+      const format = component.format?.toUpperCase() || 'TEXT';
+
+      if (format === 'TEXT') {
+        const placeholders = getPlaceholders(component.text);
+        const values = toParameterMap(placeholders,
+          params.header !== undefined && !Array.isArray(params.header) && typeof params.header !== 'object'
+            ? [params.header]
+            : params.header);
+
+        placeholders.forEach(name => checkTextParameter(values[name], `header parameter {{${name}}}`, errors));
+
+        if (placeholders.length > 0) {
+          graphComponents.push({
+            type: 'header',
+            parameters: placeholders.map(name => textParameter(name, values[name], named))
+          });
+        }
+        rendered.push(`*${fillPlaceholders(component.text, values)}*`);
+      } else if (MEDIA_HEADER_FORMATS.includes(format)) {
+        const value = params.header;
+        if (!value || (typeof value === 'object' && !value.link && !value.id)) {
+          errors.push(`header ${format.toLowerCase()} is required (link or id)`);
+        } else {
+          graphComponents.push({
+            type: 'header',
+            parameters: [mediaParameter(format, value)]
+          });
+        }
+        rendered.push(`[${format.charAt(0)}${format.slice(1).toLowerCase()}]`);
+      }
+    } else if (type === 'BODY') {
+      const placeholders = getPlaceholders(component.text);
+      const values = toParameterMap(placeholders, params.body);
+
+      placeholders.forEach(name => checkTextParameter(values[name], `body parameter {{${name}}}`, errors));
+
+      if (placeholders.length > 0) {
+        graphComponents.push({
+          type: 'body',
+          parameters: placeholders.map(name => textParameter(name, values[name], named))
+        });
+      }
+      rendered.push(fillPlaceholders(component.text, values));
+    } else if (type === 'FOOTER') {
+      rendered.push(`_${component.text}_`);
+    } else if (type === 'BUTTONS') {
+      (component.buttons || []).forEach((button, index) => {
+        const given = (params.buttons || [])[index];
+        const buttonType = button.type?.toUpperCase();
+
+        if (buttonType === 'URL') {
+          const placeholders = getPlaceholders(button.url);
+          if (placeholders.length > 0) {
+            const value = typeof given === 'object' && given !== null ? given.text : given;
+            checkTextParameter(value, `button ${index} URL parameter`, errors);
+            graphComponents.push({
+              type: 'button',
+              sub_type: 'url',
+              index: String(index),
+              parameters: [{ type: 'text', text: String(value) }]
+            });
+          }
+        } else if (buttonType === 'QUICK_REPLY' && given !== undefined) {
+          const payload = typeof given === 'object' && given !== null ? given.payload : given;
+          graphComponents.push({
+            type: 'button',
+            sub_type: 'quick_reply',
+            index: String(index),
+            parameters: [{ type: 'payload', payload: String(payload) }]
+          });
+        } else if (buttonType === 'COPY_CODE') {
+          const code = typeof given === 'object' && given !== null ? given.code : given;
+          checkTextParameter(code, `button ${index} coupon code`, errors);
+          graphComponents.push({
+            type: 'button',
+            sub_type: 'copy_code',
+            index: String(index),
+            parameters: [{ type: 'coupon_code', coupon_code: String(code) }]
+          });
+        }
+
+        rendered.push(`[${button.text}]`);
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw validationError(`Template ${template.name} parameters are invalid`, errors);
+  }
+
+  return {
+    template: {
+      name: template.name,
+      language: { code: template.language },
+      ...(graphComponents.length > 0 && { components: graphComponents })
+    },
+    renderedText: rendered.filter(Boolean).join('\n')
+  };
+}
+
+function createTemplateRegistry({ pool, whatsapp }) {
+  return {
+    // Pull every template from the WABA and replace the local copy
+    async sync() {
+      const templates = await whatsapp.listTemplates();
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        for (const template of templates) {
+          await client.query(
+            `INSERT INTO templates
+             (waba_template_id, name, language, category, status, parameter_format, components, synced_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
+             ON CONFLICT (name, language) DO UPDATE
+             SET waba_template_id = EXCLUDED.waba_template_id,
+                 category = EXCLUDED.category,
+                 status = EXCLUDED.status,
+                 parameter_format = EXCLUDED.parameter_format,
+                 components = EXCLUDED.components,
+                 synced_at = CURRENT_TIMESTAMP,
+                 updated_at = CURRENT_TIMESTAMP`,
+            [
+              template.id,
+              template.name,
+              template.language,
+              template.category || null,
+              template.status || null,
+              template.parameter_format || 'POSITIONAL',
+              JSON.stringify(template.components || [])
+            ]
+          );
+        }
+
+        // Templates deleted on the WABA
+        const removed = await client.query(
+          `DELETE FROM templates
+           WHERE NOT ((name, language) IN (SELECT * FROM UNNEST($1::text[], $2::text[])))
+           RETURNING id`,
+          [templates.map(template => template.name), templates.map(template => template.language)]
+        );
+
+        await client.query('COMMIT');
+
+        console.log(`📋 Synced ${templates.length} templates (${removed.rowCount} removed)`);
+        return { synced: templates.length, removed: removed.rowCount };
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    async list({ status, name } = {}) {
+      const result = await pool.query(
+        `SELECT * FROM templates
+         WHERE ($1::text IS NULL OR status = $1)
+           AND ($2::text IS NULL OR name = $2)
+         ORDER BY name, language`,
+        [status || null, name || null]
+      );
+      return result.rows;
+    },
+
+    // Pick the approved translation of a template: the requested language
+    // ('en' also matches 'en_US'), else TEMPLATE_DEFAULT_LANGUAGE, else the first one
+    async select(name, language = null) {
+      const result = await pool.query(
+        `SELECT * FROM templates
+         WHERE name = $1 AND status = 'APPROVED'
+         ORDER BY language`,
+        [name]
+      );
+      const templates = result.rows;
+
+      if (templates.length === 0) {
+        throw validationError(`No approved template named ${name}`);
+      }
+
+      const matchLanguage = (code) =>
+        templates.find(template => template.language === code) ||
+        templates.find(template => template.language.split('_')[0] === code.split('_')[0]);
+
+      if (language) {
+        const match = matchLanguage(language);
+        if (!match) {
+          throw validationError(
+            `Template ${name} is not available in ${language}`,
+            [`available languages: ${templates.map(template => template.language).join(', ')}`]
+          );
+        }
+        return match;
+      }
+
+      const fallback = process.env.TEMPLATE_DEFAULT_LANGUAGE;
+      return (fallback && matchLanguage(fallback)) || templates[0];
+    }
+  };
+}
+
+module.exports = {
+  createTemplateRegistry,
+  buildTemplateMessage
+};
@@ -0,0 +1,423 @@
+// Durable inbox for WhatsApp webhooks.
+// Raw payloads are written to webhook_events as soon as they arrive, then a
+// background worker processes them with retries and exponential backoff.
+// Events that keep failing end up in the 'dead' state for manual inspection.
+
+const DEFAULT_OPTIONS = {
+  pollIntervalMs: parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS) || 2000,
+  batchSize: parseInt(process.env.WEBHOOK_WORKER_BATCH_SIZE) || 10,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 5000,
+  retryMaxMs: 60 * 60 * 1000,
+  // Events left in 'processing' longer than this (e.g. after a crash) are picked up again
+  lockTimeoutMs: 5 * 60 * 1000
+};
+
+// Most events a single bulk replay may cover
+const MAX_BULK_REPLAY = 5000;
+
+// Phone numbers and message ids a payload refers to, stored alongside the
+// raw event so it can be looked up later
+function extractEventKeys(payload) {
+  const phoneNumbers = new Set();
+  const messageIds = new Set();
+
+  for (const entry of payload?.entry || []) {
+    for (const change of entry.changes || []) {
+      const value = change.value || {};
+
+      for (const message of value.messages || []) {
+        if (message.from) phoneNumbers.add(String(message.from));
+        if (message.id) messageIds.add(message.id);
+      }
+
+      for (const status of value.statuses || []) {
+        if (status.recipient_id) phoneNumbers.add(String(status.recipient_id));
+        if (status.id) messageIds.add(status.id);
+      }
+    }
+  }
+
+  return {
+    phoneNumbers: [...phoneNumbers],
+    messageIds: [...messageIds]
+  };
+}
+
+function createWebhookInbox({ pool, processPayload, options = {} }) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  let timer = null;
+  let running = false;
+  let rerun = false;
+
+  // Delay before the next attempt: base * 2^(attempts - 1), capped
+  function getRetryDelay(attempts) {
+    return Math.min(config.retryBaseMs * Math.pow(2, attempts - 1), config.retryMaxMs);
+  }
+
+  // Claim a batch of due events so no other worker picks them up
+  async function claimEvents() {
+    const result = await pool.query(
+      `UPDATE webhook_events
+       SET status = 'processing',
+           attempts = attempts + 1,
+           locked_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT id FROM webhook_events
+         WHERE (status IN ('pending', 'failed') AND next_attempt_at <= CURRENT_TIMESTAMP)
+            OR (status = 'processing' AND locked_at < CURRENT_TIMESTAMP - ($2 * INTERVAL '1 millisecond'))
+         ORDER BY id
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [config.batchSize, config.lockTimeoutMs]
+    );
+    return result.rows;
+  }
+
+  async function markProcessed(event, summary) {
+    await pool.query(
+      `UPDATE webhook_events
+       SET status = 'processed',
+           last_error = NULL,
+           result = $2,
+           processed_at = CURRENT_TIMESTAMP,
+           locked_at = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [event.id, summary ? JSON.stringify(summary) : null]
+    );
+  }
+
+  // A failed replay doesn't count as an attempt: a dead event stays dead,
+  // anything else goes back to the normal retry schedule
+  async function markFailed(event, error, { replayedFrom = null } = {}) {
+    const dead = replayedFrom ? replayedFrom === 'dead' : event.attempts >= config.maxAttempts;
+    const delay = getRetryDelay(Math.max(event.attempts, 1));
+
+    await pool.query(
+      `UPDATE webhook_events
+       SET status = $2,
+           last_error = $3,
+           next_attempt_at = CURRENT_TIMESTAMP + ($4 * INTERVAL '1 millisecond'),
+           locked_at = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [event.id, dead ? 'dead' : 'failed', error.message, delay]
+    );
+
+    if (replayedFrom) {
+      console.error(`⏪ Replay of webhook event ${event.id} failed, left ${dead ? 'dead' : 'failed'}: ${error.message}`);
+    } else if (dead) {
+      console.error(`💀 Webhook event ${event.id} moved to dead letter after ${event.attempts} attempts: ${error.message}`);
+    } else {
+      console.error(`🔁 Webhook event ${event.id} failed (attempt ${event.attempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+    }
+  }
+
+  // replay: { from, reprocess } when an admin re-runs the event
+  async function processEvent(event, replay = null) {
+    try {
+      const summary = await processPayload(event.payload, { reprocess: !!replay?.reprocess });
+
+      // Per-item failures are retried as a whole; items that already
+      // succeeded are skipped as duplicates on the next attempt, and stored
+      // messages resume the follow-up steps they didn't finish
+      if (summary && summary.failed > 0) {
+        const details = (summary.errors || []).map(item => `${item.id}: ${item.error}`).join('; ');
+        throw new Error(`${summary.failed} item(s) failed to process${details ? ` - ${details}` : ''}`);
+      }
+
+      await markProcessed(event, summary);
+    } catch (error) {
+      await markFailed(event, error, { replayedFrom: replay?.from || null });
+    }
+  }
+
+  // Claim an event for a replay without counting it as an attempt.
+  // Returns the event with the status it had before, or null if it is unknown.
+  async function claimForReplay(id) {
+    const claimed = await pool.query(
+      `WITH previous AS (
+         SELECT id, status FROM webhook_events WHERE id = $1 FOR UPDATE
+       )
+       UPDATE webhook_events e
+       SET status = 'processing',
+           locked_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       FROM previous
+       WHERE e.id = previous.id
+         AND previous.status <> 'processing'
+       RETURNING e.*, previous.status AS previous_status`,
+      [id]
+    );
+
+    if (claimed.rows.length === 0) {
+      const existing = await getEvent(id);
+      if (!existing) return null;
+      const error = new Error(`Webhook event ${id} is already being processed`);
+      error.code = 'EVENT_BUSY';
+      throw error;
+    }
+
+    return claimed.rows[0];
+  }
+
+  // Run a stored event through the ingestion pipeline again, whatever its
+  // current state. Stored messages are skipped as duplicates unless
+  // reprocess is set, in which case they are parsed again and updated.
+  async function replay(id, { reprocess = false } = {}) {
+    const event = await claimForReplay(id);
+    if (!event) return null;
+
+    console.log(`⏪ Replaying webhook event ${id}${reprocess ? ' (reprocess)' : ''}`);
+    await processEvent(event, { from: event.previous_status, reprocess });
+    return getEvent(id);
+  }
+
+  async function getEvent(id) {
+    const result = await pool.query(
+      'SELECT * FROM webhook_events WHERE id = $1',
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Claim the oldest open bulk replay job (or one left running by a crash)
+  async function claimReplayJob() {
+    const result = await pool.query(
+      `UPDATE webhook_replay_jobs
+       SET status = 'running',
+           locked_at = CURRENT_TIMESTAMP,
+           started_at = COALESCE(started_at, CURRENT_TIMESTAMP)
+       WHERE id = (
+         SELECT id FROM webhook_replay_jobs
+         WHERE status = 'queued'
+            OR (status = 'running' AND locked_at < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 millisecond'))
+         ORDER BY id
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [config.lockTimeoutMs]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Replay the next batch of a job's events, saving progress after each one
+  // so a restart carries on where it stopped. Returns true when work is left.
+  async function runReplayJob() {
+    const job = await claimReplayJob();
+    if (!job) return false;
+
+    const batch = job.event_ids.slice(job.processed, job.processed + config.batchSize);
+
+    for (const id of batch) {
+      let result;
+      try {
+        const event = await replay(id, { reprocess: job.reprocess });
+        result = event
+          ? { id, status: event.status, error: event.last_error }
+          : { id, status: 'not_found' };
+      } catch (error) {
+        result = { id, status: 'skipped', error: error.message };
+      }
+
+      await pool.query(
+        `UPDATE webhook_replay_jobs
+         SET processed = processed + 1,
+             results = results || $2::jsonb,
+             locked_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [job.id, JSON.stringify([result])]
+      );
+    }
+
+    const done = job.processed + batch.length >= job.event_ids.length;
+    await pool.query(
+      `UPDATE webhook_replay_jobs
+       SET status = $2::varchar,
+           locked_at = NULL,
+           finished_at = CASE WHEN $2::varchar = 'completed' THEN CURRENT_TIMESTAMP END
+       WHERE id = $1`,
+      [job.id, done ? 'completed' : 'queued']
+    );
+
+    if (done) console.log(`⏪ Replay job ${job.id} finished (${job.event_ids.length} events)`);
+    return true;
+  }
+
+  // Process due events until none are left
+  async function drain() {
+    if (running) {
+      rerun = true;
+      return;
+    }
+    running = true;
+
+    try {
+      do {
+        rerun = false;
+        const events = await claimEvents();
+
+        for (const event of events) {
+          await processEvent(event);
+        }
+
+        if (events.length === config.batchSize) rerun = true;
+
+        // Bulk replays share the worker, a batch at a time between new events
+        if (await runReplayJob()) rerun = true;
+      } while (rerun);
+    } catch (error) {
+      console.error('❌ Webhook worker error:', error.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    // Store a raw webhook payload; resolves once it is safely in the database
+    async enqueue(payload) {
+      const keys = extractEventKeys(payload);
+      const result = await pool.query(
+        `INSERT INTO webhook_events (payload, phone_numbers, message_ids)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [JSON.stringify(payload), keys.phoneNumbers, keys.messageIds]
+      );
+
+      // Don't wait for the next poll
+      setImmediate(drain);
+
+      return result.rows[0];
+    },
+
+    // List events that are waiting for a retry or gave up
+    async listFailed({ status = null, limit = 100 } = {}) {
+      const statuses = status ? [status] : ['failed', 'dead'];
+      const result = await pool.query(
+        `SELECT * FROM webhook_events
+         WHERE status = ANY($1)
+         ORDER BY received_at DESC
+         LIMIT $2`,
+        [statuses, limit]
+      );
+      return result.rows;
+    },
+
+    // Search stored events by phone number, message id, status and received date
+    async list({ phone, messageId, status, from, to, limit = 100, offset = 0 } = {}) {
+      const conditions = [];
+      const values = [];
+
+      if (phone) {
+        values.push(phone);
+        conditions.push(`$${values.length} = ANY(phone_numbers)`);
+      }
+      if (messageId) {
+        values.push(messageId);
+        conditions.push(`$${values.length} = ANY(message_ids)`);
+      }
+      if (status) {
+        values.push(status);
+        conditions.push(`status = $${values.length}`);
+      }
+      if (from) {
+        values.push(from);
+        conditions.push(`received_at >= $${values.length}`);
+      }
+      if (to) {
+        values.push(to);
+        conditions.push(`received_at <= $${values.length}`);
+      }
+
+      values.push(limit, offset);
+      const result = await pool.query(
+        `SELECT * FROM webhook_events
+         ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY received_at DESC, id DESC
+         LIMIT $${values.length - 1} OFFSET $${values.length}`,
+        values
+      );
+      return result.rows;
+    },
+
+    getEvent,
+
+    replay,
+
+    // Queue a bulk replay for the worker; returns the job to poll
+    async queueReplay(eventIds, { reprocess = false } = {}) {
+      const result = await pool.query(
+        `INSERT INTO webhook_replay_jobs (event_ids, reprocess)
+         VALUES ($1, $2)
+         RETURNING *`,
+        [eventIds, reprocess]
+      );
+
+      setImmediate(drain);
+
+      return result.rows[0];
+    },
+
+    async getReplayJob(id) {
+      const result = await pool.query(
+        'SELECT * FROM webhook_replay_jobs WHERE id = $1',
+        [id]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Ids of the events in a received_at or id range, oldest first
+    async findRange({ fromId, toId, from, to, limit = MAX_BULK_REPLAY }) {
+      const conditions = [];
+      const values = [];
+
+      if (fromId) {
+        values.push(fromId);
+        conditions.push(`id >= $${values.length}`);
+      }
+      if (toId) {
+        values.push(toId);
+        conditions.push(`id <= $${values.length}`);
+      }
+      if (from) {
+        values.push(from);
+        conditions.push(`received_at >= $${values.length}`);
+      }
+      if (to) {
+        values.push(to);
+        conditions.push(`received_at <= $${values.length}`);
+      }
+
+      values.push(limit);
+      const result = await pool.query(
+        `SELECT id FROM webhook_events
+         ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY id ASC
+         LIMIT $${values.length}`,
+        values
+      );
+      return result.rows.map(row => row.id);
+    },
+
+    start() {
+      if (timer) return;
+      timer = setInterval(drain, config.pollIntervalMs);
+      console.log(`📥 Webhook worker started (every ${config.pollIntervalMs}ms, max ${config.maxAttempts} attempts)`);
+      drain();
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+
+    drain
+  };
+}
+
+module.exports = { createWebhookInbox, MAX_BULK_REPLAY };
@@ -0,0 +1,267 @@
+// WhatsApp Cloud API client.
+// Every Graph API call (messages, read receipts, media, templates and the
+// business profile) goes through here. Failed calls throw a WhatsAppApiError
+// subclass picked from the Graph error code, so callers can tell a rate limit
+// from a closed service window or a bad token without digging through axios
+// responses.
+//
+// Configuration (env): GRAPH_API_BASE_URL (default https://graph.facebook.com),
+// GRAPH_API_VERSION (default v18.0), ACCESS_TOKEN, PHONE_NUMBER_ID and WABA_ID.
+// Point GRAPH_API_BASE_URL at scripts/mock-graph-server.js to work offline.
+
+const axios = require('axios');
+
+const DEFAULT_BASE_URL = 'https://graph.facebook.com';
+const DEFAULT_API_VERSION = 'v18.0';
+
+class WhatsAppApiError extends Error {
+  constructor(message, { status = null, code = null, subcode = null, type = null, body = null, fbtraceId = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.subcode = subcode;
+    this.type = type;
+    // The Graph response body, as returned by the API
+    this.body = body;
+    this.fbtraceId = fbtraceId;
+  }
+
+  // Worth sending again later
+  get retryable() {
+    return false;
+  }
+}
+
+// Invalid, expired or under-privileged access token
+class WhatsAppAuthError extends WhatsAppApiError {}
+
+// Throughput, spam or per-recipient pair rate limits
+class WhatsAppRateLimitError extends WhatsAppApiError {
+  get retryable() {
+    return true;
+  }
+}
+
+// Free-form message outside the 24 hour customer service window
+class WhatsAppServiceWindowError extends WhatsAppApiError {}
+
+// The recipient can't receive the message (not on WhatsApp, not allowed, ...)
+class WhatsAppRecipientError extends WhatsAppApiError {}
+
+// Template missing, paused or sent with the wrong parameters
+class WhatsAppTemplateError extends WhatsAppApiError {}
+
+// Media that couldn't be uploaded or downloaded by WhatsApp
+class WhatsAppMediaError extends WhatsAppApiError {}
+
+// Malformed request
+class WhatsAppParameterError extends WhatsAppApiError {}
+
+// Network failures, timeouts and errors on Meta's side
+class WhatsAppUnavailableError extends WhatsAppApiError {
+  get retryable() {
+    return true;
+  }
+}
+
+const AUTH_ERROR_CODES = [0, 3, 10, 102, 190];
+const RATE_LIMIT_ERROR_CODES = [4, 80007, 130429, 131048, 131056];
+const RECIPIENT_ERROR_CODES = [131021, 131026, 131030, 131045, 131049, 131050];
+const MEDIA_ERROR_CODES = [131052, 131053];
+const PARAMETER_ERROR_CODES = [100, 131008, 131009, 131051];
+const UNAVAILABLE_ERROR_CODES = [1, 2, 131000, 131016];
+
+// Pick the error class for a Graph error code (and the HTTP status as a fallback)
+function errorClassFor(code, status) {
+  if (AUTH_ERROR_CODES.includes(code) || (code >= 200 && code <= 299)) return WhatsAppAuthError;
+  if (RATE_LIMIT_ERROR_CODES.includes(code)) return WhatsAppRateLimitError;
+  if (code === 131047) return WhatsAppServiceWindowError;
+  if (RECIPIENT_ERROR_CODES.includes(code)) return WhatsAppRecipientError;
+  if (code >= 132000 && code <= 132999) return WhatsAppTemplateError;
+  if (MEDIA_ERROR_CODES.includes(code)) return WhatsAppMediaError;
+  if (PARAMETER_ERROR_CODES.includes(code)) return WhatsAppParameterError;
+  if (UNAVAILABLE_ERROR_CODES.includes(code)) return WhatsAppUnavailableError;
+
+  if (status === 429) return WhatsAppRateLimitError;
+  if (status === 401 || status === 403) return WhatsAppAuthError;
+  if (!status || status >= 500) return WhatsAppUnavailableError;
+  return WhatsAppApiError;
+}
+
+// Turn an axios error into a typed WhatsAppApiError
+function toWhatsAppError(error) {
+  if (!error.response) {
+    return new WhatsAppUnavailableError(error.message, { type: error.code || null });
+  }
+
+  const { status, data } = error.response;
+  const graphError = data?.error || {};
+  const ErrorClass = errorClassFor(graphError.code, status);
+
+  return new ErrorClass(graphError.message || error.message, {
+    status,
+    code: graphError.code ?? null,
+    subcode: graphError.error_subcode ?? null,
+    type: graphError.type || null,
+    body: data || null,
+    fbtraceId: graphError.fbtrace_id || null
+  });
+}
+
+function createWhatsAppClient(options = {}) {
+  const config = {
+    baseUrl: process.env.GRAPH_API_BASE_URL || DEFAULT_BASE_URL,
+    apiVersion: process.env.GRAPH_API_VERSION || DEFAULT_API_VERSION,
+    accessToken: process.env.ACCESS_TOKEN,
+    phoneNumberId: process.env.PHONE_NUMBER_ID,
+    wabaId: process.env.WABA_ID,
+    ...options
+  };
+
+  const apiUrl = `${config.baseUrl.replace(/\/+$/, '')}/${config.apiVersion}`;
+
+  // path is relative to the versioned API URL unless it is a full URL
+  // (paging links and media download URLs)
+  async function request(method, path, { params, data, headers = {}, timeout = 30000, ...rest } = {}) {
+    try {
+      const response = await axios({
+        method,
+        url: /^https?:\/\//.test(path) ? path : `${apiUrl}/${path}`,
+        params,
+        data,
+        headers: {
+          'Authorization': `Bearer ${config.accessToken}`,
+          ...headers
+        },
+        timeout,
+        ...rest
+      });
+      return response;
+    } catch (error) {
+      throw toWhatsAppError(error);
+    }
+  }
+
+  return {
+    apiUrl,
+
+    // Send a message payload ({ to, type, ... }); returns the Graph response
+    async sendMessage(payload) {
+      const response = await request('post', `${config.phoneNumberId}/messages`, {
+        data: {
+          messaging_product: "whatsapp",
+          recipient_type: "individual",
+          ...payload
+        }
+      });
+      return response.data;
+    },
+
+    // Blue ticks for a received message (and everything before it), with an
+    // optional typing indicator
+    async markRead(messageId, { typing = false } = {}) {
+      const response = await request('post', `${config.phoneNumberId}/messages`, {
+        data: {
+          messaging_product: "whatsapp",
+          status: "read",
+          message_id: messageId,
+          ...(typing && { typing_indicator: { type: "text" } })
+        },
+        timeout: 15000
+      });
+      return response.data;
+    },
+
+    // Upload a file for sending, returns the WhatsApp media id
+    async uploadMedia(data, mimeType, fileName) {
+      const form = new FormData();
+      form.append('messaging_product', 'whatsapp');
+      form.append('type', mimeType);
+      form.append('file', new Blob([data], { type: mimeType }), fileName);
+
+      const response = await request('post', `${config.phoneNumberId}/media`, {
+        data: form,
+        timeout: 60000
+      });
+      return response.data.id;
+    },
+
+    // Media metadata: a short-lived download url, mime_type, file_size and sha256
+    async getMedia(mediaId) {
+      const response = await request('get', mediaId, { timeout: 10000 });
+      return response.data;
+    },
+
+    // Download the file behind a media url from getMedia
+    async downloadMedia(url, { maxSize } = {}) {
+      const response = await request('get', url, {
+        responseType: 'arraybuffer',
+        ...(maxSize && { maxContentLength: maxSize }),
+        timeout: 60000
+      });
+      return {
+        data: Buffer.from(response.data),
+        mimeType: response.headers['content-type'] || null
+      };
+    },
+
+    // Every message template of the WABA, following paging links
+    async listTemplates({ wabaId = config.wabaId } = {}) {
+      if (!wabaId) {
+        throw new Error('WABA_ID is not configured');
+      }
+
+      const templates = [];
+      let path = `${wabaId}/message_templates`;
+      let params = {
+        limit: 100,
+        fields: 'id,name,language,status,category,components,parameter_format'
+      };
+
+      while (path) {
+        const response = await request('get', path, { params, timeout: 15000 });
+        templates.push(...(response.data.data || []));
+
+        // paging.next already carries the query string
+        path = response.data.paging?.next || null;
+        params = undefined;
+      }
+
+      return templates;
+    },
+
+    async getBusinessProfile() {
+      const response = await request('get', `${config.phoneNumberId}/whatsapp_business_profile`, {
+        params: { fields: 'about,address,description,email,profile_picture_url,websites,vertical' },
+        timeout: 15000
+      });
+      return response.data.data?.[0] || {};
+    },
+
+    // fields: about, address, description, email, websites, vertical, profile_picture_handle
+    async updateBusinessProfile(fields) {
+      const response = await request('post', `${config.phoneNumberId}/whatsapp_business_profile`, {
+        data: {
+          messaging_product: "whatsapp",
+          ...fields
+        },
+        timeout: 15000
+      });
+      return response.data;
+    }
+  };
+}
+
+module.exports = {
+  createWhatsAppClient,
+  WhatsAppApiError,
+  WhatsAppAuthError,
+  WhatsAppRateLimitError,
+  WhatsAppServiceWindowError,
+  WhatsAppRecipientError,
+  WhatsAppTemplateError,
+  WhatsAppMediaError,
+  WhatsAppParameterError,
+  WhatsAppUnavailableError
+};
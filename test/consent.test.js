@@ -0,0 +1,23 @@
+// Opt-out and opt-in keyword matching
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchConsentKeyword } = require('../services/consent');
+
+test('opt-out keywords match whatever the case, accents or punctuation', () => {
+  for (const text of ['STOP', 'stop', ' Stop! ', 'stop all', 'Arrêt', 'baja.', 'Unsubscribe', 'बंद']) {
+    assert.equal(matchConsentKeyword(text), 'opted_out', text);
+  }
+});
+
+test('opt-in keywords match', () => {
+  for (const text of ['START', 'start', 'Démarrer', 'opt in', 'शुरू']) {
+    assert.equal(matchConsentKeyword(text), 'opted_in', text);
+  }
+});
+
+test('only a message that is just the keyword counts', () => {
+  for (const text of ["please don't stop", 'stop the order please', 'STOPPED', 'cancel', '', null, undefined]) {
+    assert.equal(matchConsentKeyword(text), null, String(text));
+  }
+});
@@ -0,0 +1,61 @@
+// Scratch PostgreSQL schemas for tests. Tests that need a database only run
+// when TEST_DATABASE_URL is set, each in a schema of its own that is dropped
+// afterwards, so any database (even a development one) can be used.
+
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const { createMigrator } = require('../../services/migrations');
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+// Pass as test({ skip }) for tests that need the database
+const skip = TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+
+// TEST_DATABASE_URL with search_path set to `schema`
+function schemaUrl(schema) {
+  const url = new URL(TEST_DATABASE_URL);
+  url.searchParams.set('options', `-c search_path=${schema}`);
+  return url.toString();
+}
+
+// A new empty schema, with migrations applied unless migrate is false.
+// Returns { schema, url, pool, drop }.
+async function createTestSchema({ migrate = true } = {}) {
+  const schema = `test_${process.pid}_${crypto.randomBytes(4).toString('hex')}`;
+  const admin = new Pool({ connectionString: TEST_DATABASE_URL, max: 1 });
+  await admin.query(`CREATE SCHEMA ${schema}`);
+
+  const url = schemaUrl(schema);
+  const pool = new Pool({ connectionString: url, max: 5 });
+  if (migrate) {
+    await createMigrator({ pool, log: () => {} }).up();
+  }
+
+  return {
+    schema,
+    url,
+    pool,
+    async drop() {
+      await pool.end();
+      await admin.query(`DROP SCHEMA ${schema} CASCADE`);
+      await admin.end();
+    }
+  };
+}
+
+// Resolve with check()'s first truthy result, polling until timeoutMs
+async function waitUntil(check, { timeoutMs = 10000, intervalMs = 50 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error(`Condition not met within ${timeoutMs}ms`);
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+module.exports = {
+  skip,
+  createTestSchema,
+  waitUntil
+};
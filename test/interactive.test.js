@@ -0,0 +1,50 @@
+// Interactive button and list messages, checked before sending
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildInteractiveMessage, findInteractiveOption, INTERACTIVE_LIMITS } = require('../services/interactive');
+
+test('reply buttons become a Graph interactive object', () => {
+  const { interactive, renderedText, payload } = buildInteractiveMessage({
+    type: 'button',
+    body: 'Pick one',
+    footer: 'Thanks',
+    buttons: [{ id: 'yes', title: 'Yes' }, { id: 'no', title: 'No' }]
+  });
+
+  assert.equal(interactive.type, 'button');
+  assert.deepEqual(interactive.body, { text: 'Pick one' });
+  assert.deepEqual(interactive.action.buttons[0], { type: 'reply', reply: { id: 'yes', title: 'Yes' } });
+  assert.match(renderedText, /Pick one/);
+  assert.deepEqual(findInteractiveOption(payload, 'no'), { id: 'no', title: 'No' });
+});
+
+test('list rows are found with their section', () => {
+  const { payload } = buildInteractiveMessage({
+    type: 'list',
+    body: 'Menu',
+    button: 'Open',
+    sections: [{ title: 'Orders', rows: [{ id: 'track', title: 'Track my order' }] }]
+  });
+
+  assert.equal(findInteractiveOption(payload, 'track').section, 'Orders');
+  assert.equal(findInteractiveOption(payload, 'missing'), null);
+});
+
+test('invalid menus are rejected with every problem listed', () => {
+  assert.throws(
+    () => buildInteractiveMessage({
+      type: 'button',
+      body: '',
+      buttons: [1, 2, 3, 4].map(n => ({ id: `b${n}`, title: 'x'.repeat(INTERACTIVE_LIMITS.buttonTitle + 1) }))
+    }),
+    error => {
+      assert.equal(error.code, 'INTERACTIVE_INVALID');
+      assert.ok(error.details.some(detail => /body/.test(detail)));
+      assert.ok(error.details.length >= 2);
+      return true;
+    }
+  );
+
+  assert.throws(() => buildInteractiveMessage({ type: 'carousel', body: 'x' }), { code: 'INTERACTIVE_INVALID' });
+});
@@ -0,0 +1,29 @@
+// Media sent from /api/send: type limits and media links
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkMediaLimits } = require('../services/media-limits');
+const { MediaLinkError, isPublicAddress, parseMediaLink } = require('../services/media-link');
+
+test('media is checked against the limits of its type', () => {
+  assert.equal(checkMediaLimits('image', 'image/png', 1024), null);
+  assert.equal(checkMediaLimits('audio', 'audio/ogg; codecs=opus', 1024), null);
+  assert.match(checkMediaLimits('image', 'image/gif', 1024), /not allowed/);
+  assert.match(checkMediaLimits('image', 'image/jpeg', 6 * 1024 * 1024), /larger than/);
+  assert.match(checkMediaLimits('hologram', 'image/png', 1), /Unsupported media type/);
+});
+
+test('media links must be http(s) to a public address', () => {
+  assert.equal(parseMediaLink('https://example.com/a.png').hostname, 'example.com');
+
+  for (const link of ['file:///etc/passwd', 'ftp://example.com/a', 'http://127.0.0.1/a', 'http://[::1]/a', 'http://10.1.2.3/a', 'http://[::127.0.0.1]/a', 'http://[::ffff:7f00:1]/a', 'http://[fec0::1]/a', 'not a url']) {
+    assert.throws(() => parseMediaLink(link), MediaLinkError, link);
+  }
+
+  assert.equal(isPublicAddress('93.184.216.34'), true);
+  assert.equal(isPublicAddress('::ffff:192.168.1.1'), false);
+  assert.equal(isPublicAddress('169.254.169.254'), false);
+  assert.equal(isPublicAddress('::7f00:1'), false);
+  assert.equal(isPublicAddress('2606:4700::1111'), true);
+  assert.equal(isPublicAddress('localhost'), false);
+});
@@ -0,0 +1,107 @@
+// Migration files, checksums, and applying and reverting them
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadMigrations, createMigrator } = require('../services/migrations');
+const { skip, createTestSchema } = require('./helpers/database');
+
+function migrationsDir(files) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  for (const [name, source] of Object.entries(files)) {
+    fs.writeFileSync(path.join(directory, name), source);
+  }
+  return directory;
+}
+
+const SAMPLE = {
+  '001_widgets.sql': '-- migrate:up\nCREATE TABLE widgets (id SERIAL PRIMARY KEY);\n\n-- migrate:down\nDROP TABLE widgets;\n',
+  '002_widget_names.sql': '-- migrate:up\nALTER TABLE widgets ADD COLUMN name TEXT;\n\n-- migrate:down destructive\nALTER TABLE widgets DROP COLUMN name;\n'
+};
+
+test('migration files are parsed into up and down sections', () => {
+  const [widgets, names] = loadMigrations(migrationsDir(SAMPLE));
+
+  assert.equal(widgets.version, 1);
+  assert.equal(widgets.name, 'widgets');
+  assert.equal(widgets.up, 'CREATE TABLE widgets (id SERIAL PRIMARY KEY);');
+  assert.equal(widgets.down, 'DROP TABLE widgets;');
+  assert.equal(widgets.destructiveDown, false);
+  assert.equal(names.destructiveDown, true);
+});
+
+test('checksums ignore line endings but not content', () => {
+  const [original] = loadMigrations(migrationsDir({ '001_widgets.sql': SAMPLE['001_widgets.sql'] }));
+  const [crlf] = loadMigrations(migrationsDir({ '001_widgets.sql': SAMPLE['001_widgets.sql'].replace(/\n/g, '\r\n') }));
+  const [edited] = loadMigrations(migrationsDir({ '001_widgets.sql': SAMPLE['001_widgets.sql'].replace('SERIAL', 'BIGSERIAL') }));
+
+  assert.equal(crlf.checksum, original.checksum);
+  assert.notEqual(edited.checksum, original.checksum);
+});
+
+test('invalid migration directories are refused', () => {
+  assert.throws(() => loadMigrations(migrationsDir({ '001_empty.sql': '-- nothing here\n' })), { code: 'MIGRATION_INVALID' });
+  assert.throws(
+    () => loadMigrations(migrationsDir({ '001_a.sql': '-- migrate:up\nSELECT 1;', '001_b.sql': '-- migrate:up\nSELECT 1;' })),
+    { code: 'MIGRATION_INVALID' }
+  );
+});
+
+test('the bundled migrations load in version order', () => {
+  const migrations = loadMigrations();
+  assert.ok(migrations.length > 0);
+  migrations.forEach((migration, index) => assert.equal(migration.version, index + 1));
+});
+
+test('migrator applies, checks and reverts migrations', { skip }, async (t) => {
+  const db = await createTestSchema({ migrate: false });
+  t.after(() => db.drop());
+
+  const directory = migrationsDir(SAMPLE);
+  const migrator = createMigrator({ pool: db.pool, directory, log: () => {} });
+
+  assert.deepEqual((await migrator.up()).map(m => m.version), [1, 2]);
+  assert.deepEqual(await migrator.up(), []);
+  await migrator.assertUpToDate();
+  await db.pool.query("INSERT INTO widgets (name) VALUES ('kept')");
+
+  // A destructive down section needs force
+  await assert.rejects(migrator.down(), error => {
+    assert.equal(error.code, 'MIGRATION_IRREVERSIBLE');
+    assert.match(error.details[0], /--force/);
+    return true;
+  });
+  assert.deepEqual((await migrator.down({ force: true })).map(m => m.version), [2]);
+  assert.deepEqual((await migrator.status()).map(row => row.state), ['applied', 'pending']);
+
+  // Editing an applied migration is reported instead of applied
+  fs.appendFileSync(path.join(directory, '001_widgets.sql'), '-- edited\n');
+  await assert.rejects(migrator.up(), { code: 'MIGRATION_CHECKSUM_MISMATCH' });
+  assert.equal((await migrator.status())[0].state, 'changed');
+  await assert.rejects(migrator.down(), { code: 'MIGRATION_IRREVERSIBLE' });
+});
+
+test('every bundled migration can be applied, reverted and applied again', { skip }, async (t) => {
+  const db = await createTestSchema({ migrate: false });
+  t.after(() => db.drop());
+
+  const migrator = createMigrator({ pool: db.pool, log: () => {} });
+  const count = loadMigrations().length;
+
+  assert.equal((await migrator.up()).length, count);
+  await migrator.assertUpToDate();
+
+  await assert.rejects(migrator.down({ to: 0 }), { code: 'MIGRATION_IRREVERSIBLE' });
+  assert.equal((await migrator.down({ to: 0, force: true })).length, count);
+  assert.equal((await migrator.check()).pending.length, count);
+
+  const tables = await db.pool.query(
+    "SELECT table_name FROM information_schema.tables WHERE table_schema = $1 AND table_name <> 'schema_migrations'",
+    [db.schema]
+  );
+  assert.deepEqual(tables.rows, []);
+
+  assert.equal((await migrator.up()).length, count);
+});
@@ -0,0 +1,125 @@
+// Outbound queue: per-recipient order, retries and giving up
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createOutboundQueue } = require('../services/outbound-queue');
+const { WhatsAppRateLimitError, WhatsAppRecipientError } = require('../services/whatsapp-client');
+const { skip, createTestSchema, waitUntil } = require('./helpers/database');
+
+const OPTIONS = { pollIntervalMs: 20, ratePerSecond: 1000, maxAttempts: 3, retryBaseMs: 50 };
+
+// A queue whose send() answers from `outcomes` (payload text -> errors to
+// throw before succeeding) and records every attempt
+function createTestQueue(pool, outcomes = {}) {
+  const attempts = [];
+  const failed = [];
+  const queue = createOutboundQueue({
+    pool,
+    options: OPTIONS,
+    send: async (payload) => {
+      attempts.push(payload.text);
+      const error = (outcomes[payload.text] || []).shift();
+      if (error) throw error;
+      return { messages: [{ id: `wamid.${payload.text}` }] };
+    },
+    onSent: async () => {},
+    onFailed: async (job) => { failed.push(job.payload.text); }
+  });
+  return { queue, attempts, failed };
+}
+
+// One at a time, so ids follow the order given
+async function enqueueAll(queue, messages) {
+  const rows = [];
+  for (const [to, text] of messages) {
+    rows.push(await queue.enqueue({ to, payload: { text } }));
+  }
+  return rows;
+}
+
+// Poll until none of the rows is queued or sending, then return them by id
+function waitForOutcomes(pool, rows) {
+  return waitUntil(async () => {
+    const result = await pool.query(
+      'SELECT * FROM outbound_messages WHERE id = ANY($1) ORDER BY id',
+      [rows.map(row => row.id)]
+    );
+    return result.rows.every(row => ['sent', 'failed'].includes(row.status)) && result.rows;
+  });
+}
+
+function rateLimited() {
+  return new WhatsAppRateLimitError('Too many messages', { status: 429, code: 130429 });
+}
+
+test('messages to a recipient wait for the earlier ones, even while they are retried', { skip }, async (t) => {
+  const db = await createTestSchema();
+
+  const { queue, attempts } = createTestQueue(db.pool, { a1: [rateLimited(), rateLimited()] });
+  t.after(() => {
+    queue.stop();
+    return db.drop();
+  });
+
+  const rows = await enqueueAll(queue, [['111', 'a1'], ['111', 'a2'], ['222', 'b1'], ['111', 'a3'], ['222', 'b2']]);
+  queue.start();
+
+  const sent = await waitForOutcomes(db.pool, rows);
+  assert.deepEqual(sent.map(row => row.status), ['sent', 'sent', 'sent', 'sent', 'sent']);
+
+  const attemptsOf = text => attempts.filter(attempt => attempt === text).length;
+  assert.equal(attemptsOf('a1'), 3);
+  assert.deepEqual(attempts.filter(text => text.startsWith('a')), ['a1', 'a1', 'a1', 'a2', 'a3']);
+  assert.deepEqual(attempts.filter(text => text.startsWith('b')), ['b1', 'b2']);
+
+  // The other recipient isn't held up by the retries
+  assert.ok(attempts.indexOf('b2') < attempts.lastIndexOf('a1'));
+  assert.equal(sent.find(row => row.payload.text === 'a1').whatsapp_message_id, 'wamid.a1');
+  assert.equal(sent.find(row => row.payload.text === 'a1').attempts, 3);
+});
+
+test('permanent errors and exhausted retries fail the message and let the next one go', { skip }, async (t) => {
+  const db = await createTestSchema();
+
+  const { queue, attempts, failed } = createTestQueue(db.pool, {
+    blocked: [new WhatsAppRecipientError('Message undeliverable', { status: 400, code: 131026 })],
+    busy: [rateLimited(), rateLimited(), rateLimited()]
+  });
+  t.after(() => {
+    queue.stop();
+    return db.drop();
+  });
+
+  const rows = await enqueueAll(queue, [['333', 'blocked'], ['333', 'after-blocked'], ['444', 'busy'], ['444', 'after-busy']]);
+  queue.start();
+
+  const done = await waitForOutcomes(db.pool, rows);
+
+  assert.deepEqual(done.map(row => row.status), ['failed', 'sent', 'failed', 'sent']);
+  assert.equal(done[0].attempts, 1);
+  assert.equal(done[0].last_error, 'Message undeliverable');
+  assert.equal(done[2].attempts, OPTIONS.maxAttempts);
+  assert.deepEqual(failed.sort(), ['blocked', 'busy']);
+  assert.equal(attempts.filter(text => text === 'busy').length, OPTIONS.maxAttempts);
+});
+
+test('scheduled messages wait for send_at', { skip }, async (t) => {
+  const db = await createTestSchema();
+
+  const { queue, attempts } = createTestQueue(db.pool);
+  t.after(() => {
+    queue.stop();
+    return db.drop();
+  });
+
+  const later = await queue.enqueue({ to: '555', payload: { text: 'later' }, delayMs: 300 });
+  assert.equal(later.status, 'scheduled');
+  queue.start();
+
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.deepEqual(attempts, []);
+
+  const [sent] = await waitForOutcomes(db.pool, [later]);
+  assert.equal(sent.status, 'sent');
+  assert.ok(new Date(sent.sent_at) >= new Date(later.send_at));
+});
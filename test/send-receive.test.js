@@ -0,0 +1,328 @@
+// The whole send and receive flow: server.js talking to the mock Graph API
+// (scripts/mock-graph-server.js), with webhooks going both ways
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createMockGraphServer } = require('../scripts/mock-graph-server');
+const { skip, createTestSchema, waitUntil } = require('./helpers/database');
+
+const APP_SECRET = 'test-app-secret';
+const ADMIN_API_KEY = 'test-admin-key';
+const AGENT_API_KEYS = { alice: 'alice-key', bob: 'bob-key' };
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+// Start server.js against the mock and a scratch schema
+async function startBackend(t) {
+  const db = await createTestSchema({ migrate: false });
+  const port = await getFreePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const mock = await listen(createMockGraphServer({
+    webhookUrl: `${baseUrl}/webhook`,
+    appSecret: APP_SECRET,
+    statusDelayMs: 50,
+    phoneNumberId: 'test-phone',
+    log: () => {}
+  }));
+  const mockUrl = `http://127.0.0.1:${mock.address().port}`;
+  const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-'));
+
+  let output = '';
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    cwd: path.join(__dirname, '..'),
+    env: {
+      ...process.env,
+      PORT: String(port),
+      NODE_ENV: 'test',
+      DATABASE_URL: db.url,
+      GRAPH_API_BASE_URL: mockUrl,
+      ACCESS_TOKEN: 'test-token',
+      PHONE_NUMBER_ID: 'test-phone',
+      WABA_ID: 'test-waba',
+      APP_SECRET,
+      ADMIN_API_KEY,
+      AGENT_API_KEYS: Object.entries(AGENT_API_KEYS).map(([name, key]) => `${name}:${key}`).join(','),
+      // Set but empty so .env can't fill them in
+      N8N_WEBHOOK_URL: '',
+      N8N_API_KEY: '',
+      N8N_SECRET: '',
+      MEDIA_STORAGE_DRIVER: 'local',
+      MEDIA_UPLOAD_DIR: uploadDir,
+      WEBHOOK_WORKER_INTERVAL_MS: '100',
+      OUTBOUND_WORKER_INTERVAL_MS: '50',
+      OUTBOUND_RETRY_BASE_MS: '50'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  t.after(async () => {
+    child.kill();
+    await exited;
+    await new Promise(resolve => mock.close(resolve));
+    await db.drop();
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  try {
+    await waitUntil(async () => {
+      if (child.exitCode !== null) throw new Error('server.js exited');
+      const response = await fetch(`${baseUrl}/health`).catch(() => null);
+      return response?.ok;
+    }, { timeoutMs: 20000, intervalMs: 200 });
+  } catch (error) {
+    throw new Error(`${error.message}\n${output}`);
+  }
+
+  async function request(method, url, body, headers = {}) {
+    const response = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      ...(body !== undefined && { body: JSON.stringify(body) })
+    });
+    const text = await response.text();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      // Plain text answer
+    }
+    return { status: response.status, data };
+  }
+
+  const asAgent = key => (method, route, body) => request(method, `${baseUrl}${route}`, body, { Authorization: `Bearer ${key}` });
+
+  return {
+    db,
+    api: asAgent(ADMIN_API_KEY),
+    asAgent,
+    unauthenticated: (method, route, body) => request(method, `${baseUrl}${route}`, body),
+    webhook: (body, signature) => request('POST', `${baseUrl}/webhook`, body, signature ? { 'X-Hub-Signature-256': signature } : {}),
+    mock: (method, route, body) => request(method, `${mockUrl}${route}`, body)
+  };
+}
+
+async function waitForMessage(api, phone, predicate) {
+  return waitUntil(async () => {
+    const { data } = await api('GET', `/api/chats/${phone}/messages`);
+    return Array.isArray(data) && data.find(predicate);
+  });
+}
+
+test('send and receive through the mock Graph API', { skip, timeout: 60000 }, async (t) => {
+  const backend = await startBackend(t);
+  const { api, mock, db } = backend;
+  const customer = '15551234567';
+
+  await t.test('an inbound message is stored in its chat', async () => {
+    const { data } = await mock('POST', '/_mock/inbound', { from: customer, name: 'Ana', text: 'Hi there' });
+    const message = await waitForMessage(api, customer, msg => msg.text === 'Hi there');
+
+    assert.equal(message.type, 'received');
+    const stored = await db.pool.query('SELECT whatsapp_message_id FROM messages WHERE id = $1', [message.id]);
+    assert.equal(stored.rows[0].whatsapp_message_id, data.id);
+  });
+
+  await t.test('unsigned webhooks and sends without an agent key are refused', async () => {
+    const payload = { object: 'whatsapp_business_account', entry: [] };
+    assert.equal((await backend.webhook(payload)).status, 401);
+    assert.equal((await backend.webhook(payload, 'sha256=' + crypto.createHmac('sha256', 'wrong').update(JSON.stringify(payload)).digest('hex'))).status, 401);
+    assert.equal((await backend.unauthenticated('POST', '/api/send', { to: customer, message: 'x' })).status, 401);
+  });
+
+  await t.test('a text reply reaches the Graph API and status webhooks update it', async () => {
+    const { status, data } = await api('POST', '/api/send', { to: customer, message: 'Hello Ana' });
+    assert.equal(status, 200, JSON.stringify(data));
+    assert.match(data.whatsappMessageId, /^wamid\.MOCK/);
+
+    const sent = (await mock('GET', '/_mock/sent')).data.find(item => item.id === data.whatsappMessageId);
+    assert.equal(sent.to, customer);
+    assert.equal(sent.text.body, 'Hello Ana');
+
+    const message = await waitForMessage(api, customer, msg => msg.id === data.messageId && msg.status === 'delivered');
+    assert.equal(message.type, 'sent');
+  });
+
+  await t.test('a rate limited send is retried', async () => {
+    await mock('POST', '/_mock/fail-next', { status: 429, error: { code: 130429, message: 'Rate limit hit' }, count: 2 });
+
+    const { status, data } = await api('POST', '/api/send', { to: customer, message: 'After the rate limit' });
+    assert.equal(status, 200, JSON.stringify(data));
+
+    const outbound = await db.pool.query('SELECT status, attempts FROM outbound_messages WHERE whatsapp_message_id = $1', [data.whatsappMessageId]);
+    assert.deepEqual(outbound.rows[0], { status: 'sent', attempts: 3 });
+  });
+
+  await t.test('a permanent Graph error fails the send', async () => {
+    await mock('POST', '/_mock/fail-next', { status: 400, error: { code: 131026, message: 'Message undeliverable' } });
+
+    const { status, data } = await api('POST', '/api/send', { to: customer, message: 'Never delivered' });
+    assert.equal(status, 500);
+    assert.equal(data.success, false);
+
+    const message = await waitForMessage(api, customer, msg => msg.id === data.messageId);
+    assert.equal(message.status, 'failed');
+  });
+
+  await t.test('interactive messages are checked before sending', async () => {
+    const before = (await mock('GET', '/_mock/sent')).data.length;
+
+    const invalid = await api('POST', '/api/send', { to: customer, type: 'button', message: 'Pick', buttons: [] });
+    assert.equal(invalid.status, 400);
+    assert.ok(invalid.data.details.length > 0);
+    assert.equal((await mock('GET', '/_mock/sent')).data.length, before);
+
+    const { status, data } = await api('POST', '/api/send', {
+      to: customer,
+      type: 'button',
+      message: 'Was this helpful?',
+      buttons: [{ id: 'yes', title: 'Yes' }, { id: 'no', title: 'No' }]
+    });
+    assert.equal(status, 200, JSON.stringify(data));
+
+    // The customer's answer is linked to the menu it answers
+    await mock('POST', '/_mock/inbound', {
+      from: customer,
+      message: {
+        type: 'interactive',
+        context: { id: data.whatsappMessageId },
+        interactive: { type: 'button_reply', button_reply: { id: 'no', title: 'No' } }
+      }
+    });
+    const answer = await waitForMessage(api, customer, msg => msg.replyTo?.id === data.messageId);
+    assert.equal(answer.type, 'received');
+  });
+
+  await t.test('templates are synced from the Graph API and sent with their parameters', async () => {
+    const sync = await api('POST', '/api/admin/templates/sync');
+    assert.equal(sync.status, 200, JSON.stringify(sync.data));
+
+    const invalid = await api('POST', '/api/templates/order_update/send', { to: customer, language: 'es', body: ['Ana'] });
+    assert.equal(invalid.status, 400);
+
+    const { status, data } = await api('POST', '/api/templates/order_update/send', {
+      to: customer,
+      language: 'es',
+      header: 'A-1',
+      body: ['Ana', 'A-1', 'viernes'],
+      buttons: ['A-1']
+    });
+    assert.equal(status, 200, JSON.stringify(data));
+
+    const sent = (await mock('GET', '/_mock/sent')).data.find(item => item.id === data.whatsappMessageId);
+    assert.equal(sent.template.name, 'order_update');
+    assert.equal(sent.template.language.code, 'es');
+
+    const message = await waitForMessage(api, customer, msg => msg.id === data.messageId);
+    assert.match(message.text, /Hola Ana, tu pedido A-1 está en camino/);
+  });
+
+  await t.test('agents only act on chats they may access', async () => {
+    const bob = backend.asAgent(AGENT_API_KEYS.bob);
+    const alice = backend.asAgent(AGENT_API_KEYS.alice);
+    const template = { to: customer, language: 'es', header: 'A-1', body: ['Ana', 'A-1', 'viernes'], buttons: ['A-1'] };
+
+    await db.pool.query("UPDATE contacts SET assigned_to = 'alice' WHERE phone_number = $1", [customer]);
+    try {
+      assert.equal((await backend.unauthenticated('POST', '/api/templates/order_update/send', template)).status, 401);
+      assert.equal((await bob('POST', '/api/templates/order_update/send', template)).status, 403);
+      assert.equal((await alice('POST', '/api/templates/order_update/send', template)).status, 200);
+
+      const sendAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      const { data: scheduled } = await alice('POST', '/api/send', { to: customer, message: 'See you later', send_at: sendAt });
+      const scheduledRoute = `/api/chats/${customer}/scheduled/${scheduled.messageId}`;
+      for (const [method, route, body] of [['GET', `/api/chats/${customer}/scheduled`], ['PATCH', scheduledRoute, { message: 'Changed' }], ['DELETE', scheduledRoute]]) {
+        assert.equal((await backend.unauthenticated(method, route, body)).status, 401, `${method} ${route}`);
+        assert.equal((await bob(method, route, body)).status, 403, `${method} ${route}`);
+      }
+      assert.equal((await alice('GET', `/api/chats/${customer}/scheduled`)).data.count, 1);
+
+      for (const [method, route] of [['GET', `/api/chats/${customer}/messages`], ['POST', `/api/chats/${customer}/read`], ['POST', `/api/chats/${customer}/typing`], ['GET', `/api/db/chats/${customer}/messages`]]) {
+        assert.equal((await backend.unauthenticated(method, route)).status, 401, `${method} ${route}`);
+        assert.equal((await bob(method, route)).status, 403, `${method} ${route}`);
+      }
+      assert.equal((await alice('POST', `/api/chats/${customer}/read`)).status, 200);
+      assert.equal((await alice('DELETE', scheduledRoute)).status, 200);
+    } finally {
+      await db.pool.query('UPDATE contacts SET assigned_to = NULL WHERE phone_number = $1', [customer]);
+    }
+  });
+
+  await t.test('scheduled messages stay out of the chat preview until they are sent', async () => {
+    const chatState = async () => (await db.pool.query(
+      `SELECT ch.last_message, ct.message_count
+       FROM chats ch JOIN contacts ct ON ct.id = ch.contact_id
+       WHERE ch.phone_number = $1`,
+      [customer]
+    )).rows[0];
+    const before = await chatState();
+
+    const soon = new Date(Date.now() + 1500).toISOString();
+    const later = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const { data: pending } = await api('POST', '/api/send', { to: customer, message: 'Sent in a moment', send_at: soon });
+    const { data: cancelled } = await api('POST', '/api/send', { to: customer, message: 'Scheduled for later', send_at: later });
+    assert.equal((await api('DELETE', `/api/chats/${customer}/scheduled/${cancelled.messageId}`)).status, 200);
+    assert.deepEqual(await chatState(), before);
+
+    await waitForMessage(api, customer, msg => msg.id === pending.messageId && msg.status !== 'scheduled');
+    assert.deepEqual(await chatState(), { last_message: 'Sent in a moment', message_count: before.message_count + 1 });
+  });
+
+  await t.test('inbound media is downloaded into media storage', async () => {
+    await mock('POST', '/_mock/inbound', { from: customer, type: 'image', caption: 'My receipt' });
+
+    await waitUntil(async () => {
+      const result = await db.pool.query(
+        "SELECT media_url FROM messages WHERE media_caption = 'My receipt' AND media_url IS NOT NULL"
+      );
+      return result.rows.length === 1;
+    });
+  });
+
+  await t.test('a customer who sends STOP is not messaged again', async () => {
+    await mock('POST', '/_mock/inbound', { from: customer, text: 'Stop' });
+    await waitUntil(async () => {
+      const result = await db.pool.query('SELECT opted_out FROM contacts WHERE phone_number = $1', [customer]);
+      return result.rows[0]?.opted_out === true;
+    });
+
+    const before = (await mock('GET', '/_mock/sent')).data.length;
+    const { status } = await api('POST', '/api/send', { to: customer, message: 'Are you still there?' });
+    assert.equal(status, 422);
+    assert.equal((await mock('GET', '/_mock/sent')).data.length, before);
+
+    // Only an agent can opt them back in, and the change is recorded as theirs
+    const { rows: [contact] } = await db.pool.query('SELECT id FROM contacts WHERE phone_number = $1', [customer]);
+    assert.equal((await backend.unauthenticated('PUT', `/api/db/contacts/${contact.id}`, { opted_out: false })).status, 401);
+
+    const optIn = await api('PUT', `/api/db/contacts/${contact.id}`, { opted_out: false });
+    assert.equal(optIn.status, 200);
+    assert.equal(optIn.data.contact.opted_out, false);
+
+    const { data: consent } = await api('GET', `/api/db/contacts/${contact.id}/consent`);
+    assert.equal(consent.history[0].changed_by, 'admin');
+  });
+});
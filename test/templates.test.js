@@ -0,0 +1,48 @@
+// Filling in and checking template parameters before sending
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildTemplateMessage } = require('../services/templates');
+const { TEMPLATES } = require('../scripts/mock-graph-server');
+
+function findTemplate(name, language = 'en_US') {
+  return TEMPLATES.find(template => template.name === name && template.language === language);
+}
+
+test('template parameters are filled in positionally', () => {
+  const { template, renderedText } = buildTemplateMessage(findTemplate('order_update'), {
+    header: 'A-1',
+    body: ['Ana', 'A-1', 'Friday'],
+    buttons: ['A-1', 'talk']
+  });
+
+  assert.equal(template.name, 'order_update');
+  assert.deepEqual(template.language, { code: 'en_US' });
+  assert.deepEqual(template.components.find(c => c.type === 'body').parameters.map(p => p.text), ['Ana', 'A-1', 'Friday']);
+  assert.deepEqual(template.components.find(c => c.sub_type === 'url').parameters, [{ type: 'text', text: 'A-1' }]);
+  assert.match(renderedText, /Hi Ana, your order A-1 is on its way and should arrive by Friday\./);
+});
+
+test('named templates send parameter names and need their media header', () => {
+  const invoice = findTemplate('invoice_ready');
+  const { template } = buildTemplateMessage(invoice, {
+    header: { link: 'https://example.com/invoice.pdf' },
+    body: { customer_name: 'Ana', amount: '10 EUR' }
+  });
+
+  assert.deepEqual(template.components[1].parameters[0], { type: 'text', text: 'Ana', parameter_name: 'customer_name' });
+
+  assert.throws(() => buildTemplateMessage(invoice, { body: { customer_name: 'Ana' } }), error => {
+    assert.equal(error.code, 'TEMPLATE_INVALID');
+    assert.ok(error.details.some(detail => /header document is required/.test(detail)));
+    assert.ok(error.details.some(detail => /\{\{amount\}\} is required/.test(detail)));
+    return true;
+  });
+});
+
+test('template text parameters cannot contain new lines', () => {
+  assert.throws(
+    () => buildTemplateMessage(findTemplate('order_update'), { header: 'A-1', body: ['Ana\nB', 'A-1', 'Friday'], buttons: ['A-1'] }),
+    { code: 'TEMPLATE_INVALID' }
+  );
+});